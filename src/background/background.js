@@ -1,8 +1,14 @@
 // Background service worker for YouTube Filter Extension.
-// Handles subscription extraction using chrome.scripting in the page context.
+// Handles subscription extraction using chrome.scripting in the page context,
+// and prunes temporary keyword mutes once they expire.
 
 const EXTRACT_SUBSCRIPTIONS_ACTION = "extractSubscriptions";
 const SUBSCRIPTIONS_STORAGE_KEY = "youtube_subscriptions";
+const PRUNE_KEYWORDS_ALARM = "pruneExpiredKeywords";
+// Fallback sweep in case the worker missed the alarm for the next expiry.
+const PRUNE_KEYWORDS_PERIOD_MINUTES = 60;
+// Chrome fires alarms at most every 30 seconds.
+const MIN_ALARM_DELAY_MS = 30 * 1000;
 
 chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
 	if (request.action !== EXTRACT_SUBSCRIPTIONS_ACTION) {
@@ -25,6 +31,97 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
 	return true;
 });
 
+chrome.alarms.onAlarm.addListener((alarm) => {
+	if (alarm.name === PRUNE_KEYWORDS_ALARM) {
+		pruneExpiredKeywords();
+	}
+});
+
+chrome.runtime.onInstalled.addListener(() => pruneExpiredKeywords());
+chrome.runtime.onStartup.addListener(() => pruneExpiredKeywords());
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+	if (
+		(areaName === "sync" && changes.keywords) ||
+		(areaName === "local" && changes.keywordGroups)
+	) {
+		pruneExpiredKeywords();
+	}
+});
+
+function getKeywordExpiry(keyword) {
+	return Number.isFinite(keyword?.expiresAt) ? keyword.expiresAt : null;
+}
+
+function isActiveKeyword(keyword, now) {
+	const expiresAt = getKeywordExpiry(keyword);
+	return expiresAt === null || expiresAt > now;
+}
+
+/**
+ * Wakes the worker at the next mute expiry, and hourly after that.
+ */
+function scheduleKeywordPrune(keywords) {
+	const now = Date.now();
+	const expiries = keywords
+		.map(getKeywordExpiry)
+		.filter((expiresAt) => expiresAt !== null);
+	const nextExpiry = Math.min(
+		...expiries,
+		now + PRUNE_KEYWORDS_PERIOD_MINUTES * 60 * 1000,
+	);
+
+	chrome.alarms.create(PRUNE_KEYWORDS_ALARM, {
+		when: Math.max(nextExpiry, now + MIN_ALARM_DELAY_MS),
+		periodInMinutes: PRUNE_KEYWORDS_PERIOD_MINUTES,
+	});
+}
+
+/**
+ * Drops expired mutes from the default keyword list and every keyword group.
+ * Only lists that lost a keyword are written back, so a never-saved default
+ * list keeps falling back to DEFAULT_SETTINGS.
+ */
+async function pruneExpiredKeywords() {
+	const { keywords = [] } = await chrome.storage.sync.get("keywords");
+	const { keywordGroups = [] } =
+		await chrome.storage.local.get("keywordGroups");
+	const now = Date.now();
+	const groupKeywords = keywordGroups.flatMap((group) => group.keywords || []);
+	const activeKeywords = keywords.filter((keyword) =>
+		isActiveKeyword(keyword, now),
+	);
+	const activeGroupKeywordCount = groupKeywords.filter((keyword) =>
+		isActiveKeyword(keyword, now),
+	).length;
+	const removedCount =
+		keywords.length -
+		activeKeywords.length +
+		groupKeywords.length -
+		activeGroupKeywordCount;
+
+	if (removedCount > 0) {
+		// The storage change reschedules the alarm.
+		if (activeKeywords.length < keywords.length) {
+			await chrome.storage.sync.set({ keywords: activeKeywords });
+		}
+		if (activeGroupKeywordCount < groupKeywords.length) {
+			await chrome.storage.local.set({
+				keywordGroups: keywordGroups.map((group) => ({
+					...group,
+					keywords: (group.keywords || []).filter((keyword) =>
+						isActiveKeyword(keyword, now),
+					),
+				})),
+			});
+		}
+		console.log(`[Background] Removed ${removedCount} expired keyword mute(s)`);
+		return;
+	}
+
+	scheduleKeywordPrune([...keywords, ...groupKeywords]);
+}
+
 function buildStoredSubscriptions(
 	channels,
 	extractedAt = new Date().toISOString(),
@@ -0,0 +1,73 @@
+/**
+ * Badge Detector
+ * Maps YouTube badge styles and labels ("Members only", "4K", "CC",
+ * "Includes paid promotion", ...) onto a small set of badge ids.
+ * Shared by the content script (detection) and the popup (badge list).
+ */
+
+const VIDEO_BADGE_LABELS = {
+	members: "Members only",
+	paid: "Paid / Premium",
+	"4k": "4K",
+	cc: "CC",
+	new: "New",
+	sponsored: "Sponsored",
+	ai: "AI / altered",
+};
+// Tested in order against each style name and label on its own, so
+// "Includes paid promotion" is sponsored before it can look paid.
+const VIDEO_BADGE_PATTERNS = [
+	["members", /members[_ -](?:only|first)/i],
+	["sponsored", /\bsponsored\b|\bpaid promotion\b|_AD$|^ad$/i],
+	["paid", /\b(?:premium|paid|purchased?|rent|buy)\b|_YPC$|_COMMERCE$/i],
+	["4k", /^[48]K\b|_4K$/i],
+	["cc", /^(?:CC|closed captions?|subtitles)$/i],
+	["new", /^new$/i],
+	["ai", /altered or synthetic|synthetic content|\bAI[- ]generated\b/i],
+];
+
+/**
+ * Badge id for one badge style or label, or null for other badges
+ * (durations, LIVE, verified checks, ...).
+ * @param {string | null | undefined} text
+ * @returns {string | null}
+ */
+function detectBadge(text) {
+	const value = typeof text === "string" ? text.trim() : "";
+	if (!value) {
+		return null;
+	}
+
+	return (
+		VIDEO_BADGE_PATTERNS.find(([, pattern]) => pattern.test(value))?.[0] || null
+	);
+}
+
+/**
+ * Collects the badge ids found in badge styles and labels, in display order.
+ * @param {Array<string | null | undefined>} texts
+ * @returns {string[]}
+ */
+function detectBadges(texts) {
+	const badges = new Set(texts.map(detectBadge).filter(Boolean));
+	return Object.keys(VIDEO_BADGE_LABELS).filter((badge) => badges.has(badge));
+}
+
+/**
+ * Keeps known badge ids, e.g. for stored hidden/required badge lists.
+ * @returns {string[]}
+ */
+function normalizeBadgeList(badges) {
+	return Array.isArray(badges)
+		? Object.keys(VIDEO_BADGE_LABELS).filter((badge) => badges.includes(badge))
+		: [];
+}
+
+if (typeof window !== "undefined") {
+	window.BadgeDetector = {
+		VIDEO_BADGE_LABELS,
+		detectBadge,
+		detectBadges,
+		normalizeBadgeList,
+	};
+}
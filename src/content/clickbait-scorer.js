@@ -0,0 +1,135 @@
+/**
+ * Clickbait Scorer
+ * Scores how clickbait-styled a title is (0-100) from ALL-CAPS words,
+ * repeated punctuation, emoji, hype phrases and bait templates, keeping the
+ * points per signal so filters can explain the score.
+ */
+
+const CLICKBAIT_HYPE_PHRASES = [
+	"insane",
+	"shocking",
+	"shocked",
+	"unbelievable",
+	"gone wrong",
+	"went wrong",
+	"must see",
+	"mind blowing",
+	"mind-blowing",
+	"jaw dropping",
+	"jaw-dropping",
+	"crazy",
+	"epic",
+	"exposed",
+	"destroyed",
+	"never seen before",
+	"omg",
+	"gone too far",
+	"the truth about",
+	"secret",
+	"emotional",
+	"at 3am",
+];
+const CLICKBAIT_TEMPLATES = [
+	/\byou won'?t believe\b/i,
+	/\bwhat happens? next\b/i,
+	/\b(?:will|would) shock you\b/i,
+	/\bdoctors hate\b/i,
+	/\byou(?:'re| are) doing it wrong\b/i,
+	/\b(?:wait|watch) (?:till|until|for) the end\b/i,
+	/\bnumber \d+ will\b/i,
+	/\bnot clickbait\b/i,
+	/\bthis is why\b/i,
+	/\bnobody (?:expected|talks about)\b/i,
+];
+const CLICKBAIT_HYPE_PATTERN = new RegExp(
+	`\\b(?:${CLICKBAIT_HYPE_PHRASES.join("|")})\\b`,
+	"gi",
+);
+const CLICKBAIT_EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+const CLICKBAIT_REPEATED_PUNCTUATION_PATTERN = /[!?]{2,}/g;
+const CLICKBAIT_WORD_PATTERN = /\p{L}{2,}/gu;
+// Leading arrows or emoji before the first word, e.g. "🔥🔥 ➡️ Best ...".
+const CLICKBAIT_PREFIX_PATTERN =
+	/^(?:[\s\u2190-\u21FF\u2794-\u27BF\u2B05-\u2B07]|\p{Extended_Pictographic}|\uFE0F|\u200D)+(?=\p{L}|\p{N})/u;
+
+function countClickbaitMatches(text, pattern) {
+	return text.match(pattern)?.length || 0;
+}
+
+/**
+ * Share of words written in capitals, ignoring short titles where one
+ * acronym would dominate.
+ */
+function getCapsWordRatio(title) {
+	const words = title.match(CLICKBAIT_WORD_PATTERN) || [];
+	const casedWords = words.filter((word) => word.toLowerCase() !== word);
+	if (words.length < 3 || casedWords.length === 0) {
+		return 0;
+	}
+
+	return (
+		words.filter((word) => word === word.toUpperCase() && word.length >= 3)
+			.length / words.length
+	);
+}
+
+/**
+ * Scores a title, e.g. "YOU WON'T BELIEVE THIS!!! 😱😱" scores in the 90s.
+ * @param {string | null | undefined} title
+ * @returns {{score: number, signals: Object<string, number>}} Points per signal
+ */
+function scoreClickbaitTitle(title) {
+	const text = typeof title === "string" ? title.trim() : "";
+	if (!text) {
+		return { score: 0, signals: {} };
+	}
+
+	const emojiCount = countClickbaitMatches(text, CLICKBAIT_EMOJI_PATTERN);
+	const signals = {
+		caps: Math.round(Math.min(getCapsWordRatio(text) / 0.6, 1) * 30),
+		punctuation: Math.min(
+			countClickbaitMatches(text, CLICKBAIT_REPEATED_PUNCTUATION_PATTERN) * 10,
+			20,
+		),
+		// Density matters more than count, so one emoji in a long title is cheap.
+		emoji: Math.round(
+			Math.min(emojiCount * 5 + (emojiCount / text.length) * 100, 20),
+		),
+		hype: Math.min(
+			countClickbaitMatches(text, CLICKBAIT_HYPE_PATTERN) * 10,
+			30,
+		),
+		template: CLICKBAIT_TEMPLATES.some((pattern) => pattern.test(text))
+			? 25
+			: 0,
+		prefix: CLICKBAIT_PREFIX_PATTERN.test(text) ? 10 : 0,
+	};
+
+	for (const [signal, points] of Object.entries(signals)) {
+		if (points === 0) {
+			delete signals[signal];
+		}
+	}
+
+	const total = Object.values(signals).reduce((sum, points) => sum + points, 0);
+	return { score: Math.min(total, 100), signals };
+}
+
+/**
+ * Formats signal points for filter details, e.g. "caps 30, template 25".
+ * @param {Object<string, number>} signals
+ * @returns {string}
+ */
+function formatClickbaitSignals(signals) {
+	return Object.entries(signals)
+		.sort(([, a], [, b]) => b - a)
+		.map(([signal, points]) => `${signal} ${points}`)
+		.join(", ");
+}
+
+if (typeof window !== "undefined") {
+	window.ClickbaitScorer = {
+		formatClickbaitSignals,
+		scoreClickbaitTitle,
+	};
+}
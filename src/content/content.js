@@ -6,35 +6,17 @@ console.log("[Filter] Content script injected!");
 // ============================================================================
 
 /**
- * Parses view count string to number
- * @param {string} text - e.g., "1.4K views", "2.3M views"
- * @returns {number} - e.g., 1400, 2300000
+ * Parses view count string to number in the page's UI language
+ * @param {string} text - e.g., "1.4K views", "3.2万次观看", "1,2 Mio. Aufrufe"
+ * @returns {number} - e.g., 1400, 32000, 1200000
  */
 function parseViewCount(text) {
-	if (!text) return 0;
-
-	const cleaned = text
-		.replace(/views?/i, "")
-		.replace(/,/g, "")
-		.trim();
-	const match = cleaned.match(/([\d.]+)\s*([KMB]?)/i);
-
-	if (match) {
-		let number = parseFloat(match[1]);
-		const suffix = match[2].toUpperCase();
-		if (suffix === "K") number *= 1000;
-		else if (suffix === "M") number *= 1000000;
-		else if (suffix === "B") number *= 1000000000;
-		return number;
-	}
-
-	const directNumber = parseFloat(cleaned);
-	return Number.isNaN(directNumber) ? 0 : directNumber;
+	return LocaleParser.parseLocalizedViewCount(text);
 }
 
 /**
  * Parses duration string to seconds
- * @param {string} text - e.g., "12:05", "1:23:45", "12 minutes"
+ * @param {string} text - e.g., "12:05", "1:23:45", "12 minutes", "1時間23分"
  * @returns {number} - Total seconds
  */
 function parseDuration(text) {
@@ -54,37 +36,93 @@ function parseDuration(text) {
 		}
 	}
 
-	// Text format (e.g., "1 hour 23 minutes")
-	let totalSeconds = 0;
-	const hourMatch = cleaned.match(/(\d+)\s*h(our)?s?/i);
-	const minMatch = cleaned.match(/(\d+)\s*m(in(ute)?)?s?/i);
-	const secMatch = cleaned.match(/(\d+)\s*s(ec(ond)?)?s?/i);
+	// Text format (e.g., "1 hour 23 minutes", "1 Stunde, 23 Minuten")
+	return LocaleParser.parseDurationText(cleaned);
+}
 
-	if (hourMatch) totalSeconds += parseInt(hourMatch[1], 10) * 3600;
-	if (minMatch) totalSeconds += parseInt(minMatch[1], 10) * 60;
-	if (secMatch) totalSeconds += parseInt(secMatch[1], 10);
+const RELATIVE_TIME_UNIT_DAYS = {
+	second: 1 / 86400,
+	minute: 1 / 1440,
+	hour: 1 / 24,
+	day: 1,
+	week: 7,
+	month: 30,
+	year: 365,
+};
+const AGE_UNIT_DAYS = { days: 1, weeks: 7, months: 30, years: 365 };
 
-	return totalSeconds;
+/**
+ * Parses video age to days
+ * @param {string} text - e.g., "3 hours ago", "2 weeks ago", "2年前", "vor 3 Jahren"
+ * @returns {number | null} - Age in days (fractional below a day), null if unparseable
+ */
+function parseVideoAge(text) {
+	const relativeTime = LocaleParser.parseRelativeTime(text);
+	return relativeTime
+		? relativeTime.amount * RELATIVE_TIME_UNIT_DAYS[relativeTime.unit]
+		: null;
 }
 
 /**
- * Parses video age to years
- * @param {string} text - e.g., "2 years ago", "3 months ago"
- * @returns {number} - Age in years (0 if less than 1 year)
+ * Max age in days. Falls back to the legacy `maxAgeYears` / `maxAge` keys
+ * until an amount and unit are saved.
+ * @returns {number}
  */
-function parseVideoAge(text) {
-	if (!text) return 0;
-	const match = text.match(/(\d+)\s+year/i);
-	return match ? parseInt(match[1], 10) : 0;
+function getMaxAgeDays(settings) {
+	if (typeof settings.maxAgeAmount === "number") {
+		return settings.maxAgeAmount * (AGE_UNIT_DAYS[settings.maxAgeUnit] || 365);
+	}
+
+	return (settings.maxAgeYears ?? settings.maxAge ?? 0) * 365;
+}
+
+function getMinAgeDays(settings) {
+	return (
+		(Number(settings.minAgeAmount) || 0) *
+		(AGE_UNIT_DAYS[settings.minAgeUnit] || 1)
+	);
+}
+
+/**
+ * Approximates the upload date from a relative publish time.
+ * @param {string | null} publishTime - e.g., "3 weeks ago"
+ * @returns {string | null} YYYY-MM-DD
+ */
+function estimateUploadDate(publishTime, now = Date.now()) {
+	const ageDays = publishTime ? parseVideoAge(publishTime) : null;
+	if (ageDays === null) {
+		return null;
+	}
+
+	return window.YouTubeDataExtractor.toIsoDate(
+		new Date(now - ageDays * 86400000),
+	);
+}
+
+function formatAgeDays(days) {
+	return `${Math.round(days * 10) / 10} days`;
+}
+
+/**
+ * Average views per day since upload. Videos younger than a day count as one
+ * day old so a few hours of views aren't extrapolated.
+ * @param {string | null} viewCount - e.g., "1.2K views"
+ * @param {string | null} publishTime - e.g., "3 days ago"
+ * @returns {number | null}
+ */
+function calculateViewsPerDay(viewCount, publishTime) {
+	const ageDays = publishTime ? parseVideoAge(publishTime) : null;
+	if (!viewCount || ageDays === null) {
+		return null;
+	}
+
+	return parseViewCount(viewCount) / Math.max(ageDays, 1);
+}
+
+function formatViewsPerDay(viewsPerDay) {
+	return `${viewsPerDay < 10 ? Math.round(viewsPerDay * 10) / 10 : Math.round(viewsPerDay)} views/day`;
 }
 
-const HAN_CHARACTER_PATTERN = /[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/g;
-const LATIN_LETTER_PATTERN = /[A-Za-z]/g;
-const ENGLISH_WORD_PATTERN = /\b[A-Za-z]{2,}\b/g;
-const VIEW_COUNT_PATTERN = /(\d+(?:[.,]\d+)?\s*[KMB]?)\s*views?/i;
-const NO_VIEWS_PATTERN = /No views?/i;
-const PUBLISH_TIME_PATTERN =
-	/(streamed\s+)?\d+\s*(second|minute|hour|day|week|month|year)s?\s*ago/i;
 const DURATION_TEXT_PATTERN = /^(?:\d+:)?\d{1,2}:\d{2}$/;
 const CHANNEL_LINK_SELECTOR = "a[href^='/@'], a[href^='/channel/']";
 const TITLE_SELECTORS = [
@@ -93,8 +131,12 @@ const TITLE_SELECTORS = [
 	"#video-title-link",
 	"h3[title]",
 	".ytLockupMetadataViewModelHeadingReset",
+	".shortsLockupViewModelHostMetadataTitle",
 	"h3 a",
 	"yt-formatted-string#video-title",
+	".ytp-videowall-still-info-title",
+	".ytp-modern-videowall-still-info-title",
+	".ytp-ce-video-title",
 	"[aria-label]",
 ];
 const DURATION_SELECTORS = [
@@ -106,21 +148,74 @@ const DURATION_SELECTORS = [
 	"span.ytd-thumbnail-overlay-time-status-renderer",
 	"#time-status span",
 	".badge-style-type-simple",
+	".ytp-videowall-still-info-duration",
+	".ytp-modern-videowall-still-info-duration",
+	".ytp-ce-video-duration",
 ];
 const METADATA_TEXT_SELECTORS = [
 	"#metadata-line",
 	"ytd-video-meta-block",
 	"#channel-info",
+	".ytp-videowall-still-info-author",
+	".ytp-modern-videowall-still-info-author",
+	".ytp-modern-videowall-still-view-count-and-date-info",
+];
+const DESCRIPTION_SNIPPET_SELECTORS = [
+	"#description-text",
+	".metadata-snippet-text",
+	"yt-formatted-string.metadata-snippet-text",
+];
+// Badge rows under titles and thumbnail overlay badges ("4K", "CC", "New").
+const BADGE_SELECTORS = [
+	"ytd-badge-supported-renderer .badge",
+	"yt-content-metadata-view-model badge-shape",
+	"badge-shape",
+];
+const HASHTAG_PATTERN = /#[\p{L}\p{N}_]+/gu;
+// End-screen byline: "Channel • 1.2M views".
+const PLAYER_CHANNEL_TEXT_SELECTORS = [
+	".ytp-videowall-still-info-author",
+	".ytp-modern-videowall-still-info-author",
+];
+const LIVE_BADGE_SELECTORS = {
+	live: ".badge-style-type-live-now, .badge-style-type-live-now-alternate, [overlay-style='LIVE']",
+	upcoming: "[overlay-style='UPCOMING']",
+};
+// View-count and publish-time lines only; bylines carry channel names.
+const LIVE_STATE_TEXT_SELECTORS = [
+	"#metadata-line",
+	".ytp-modern-videowall-still-view-count-and-date-info",
+	"yt-content-metadata-view-model",
+	"badge-shape",
 ];
+const WATCHED_PROGRESS_SELECTORS = [
+	"ytd-thumbnail-overlay-resume-playback-renderer #progress",
+	".ytThumbnailOverlayProgressBarHostWatchedProgressBarSegment",
+	"yt-thumbnail-overlay-progress-bar-view-model [style*='width']",
+];
+const PARTIALLY_WATCHED_MODES = ["show", "dim", "hide"];
+const LIVE_STATE_SETTINGS = {
+	live: "hideLiveNow",
+	upcoming: "hideUpcoming",
+	past: "hidePastStreams",
+};
+const LIVE_STATE_LABELS = {
+	live: "Live now",
+	upcoming: "Upcoming stream or premiere",
+	past: "Past live stream",
+};
 const VIDEO_CARD_NODE_NAMES = new Set([
 	"YTD-VIDEO-RENDERER",
 	"YTD-RICH-ITEM-RENDERER",
 	"YTD-GRID-VIDEO-RENDERER",
+	"YTD-COMPACT-VIDEO-RENDERER",
 	"YT-LOCKUP-VIEW-MODEL",
+	"YTM-SHORTS-LOCKUP-VIEW-MODEL",
+	"YTM-SHORTS-LOCKUP-VIEW-MODEL-V2",
+	"YTD-REEL-ITEM-RENDERER",
 ]);
 const SUBSCRIPTIONS_PAGE_PATH = "/feed/channels";
 const CHANNEL_PAGE_PREFIXES = ["/@", "/channel/", "/c/", "/user/"];
-const ENGLISH_ONLY_LEGACY_MODE = "enOnly";
 
 /**
  * Normalizes extracted UI text for pattern matching.
@@ -136,58 +231,6 @@ function normalizeText(text) {
 	return normalized || null;
 }
 
-/**
- * Returns the first regex match from text as a normalized string.
- * @param {string | null | undefined} text
- * @param {RegExp} pattern
- * @returns {string | null}
- */
-function extractMatch(text, pattern) {
-	const normalized = normalizeText(text);
-	if (!normalized) {
-		return null;
-	}
-
-	const match = normalized.match(pattern);
-	return match ? normalizeText(match[0]) : null;
-}
-
-function detectTitleLanguage(title) {
-	const normalizedTitle = normalizeText(title);
-	if (!normalizedTitle) {
-		return "unknown";
-	}
-
-	const hanCharacterCount =
-		normalizedTitle.match(HAN_CHARACTER_PATTERN)?.length || 0;
-	const latinLetterCount =
-		normalizedTitle.match(LATIN_LETTER_PATTERN)?.length || 0;
-	const englishWordCount =
-		normalizedTitle.match(ENGLISH_WORD_PATTERN)?.length || 0;
-
-	if (hanCharacterCount === 0 && latinLetterCount === 0) {
-		return "unknown";
-	}
-
-	if (hanCharacterCount >= 2) {
-		return "zh";
-	}
-
-	if (englishWordCount >= 1 || latinLetterCount >= 4) {
-		return "en";
-	}
-
-	return "unknown";
-}
-
-function isEnglishOnlyEnabled(settings) {
-	if (typeof settings.englishOnlyTitles === "boolean") {
-		return settings.englishOnlyTitles;
-	}
-
-	return settings.languageFilterMode === ENGLISH_ONLY_LEGACY_MODE;
-}
-
 function normalizeChannelPath(path) {
 	if (!path || typeof path !== "string") {
 		return null;
@@ -254,7 +297,7 @@ function getChannelIdFromPath(path) {
 	return normalizedPath.split("/channel/")[1] || null;
 }
 
-function createEmptySubscriptionLookup() {
+function createEmptyChannelLookup() {
 	return {
 		ids: new Set(),
 		paths: new Set(),
@@ -262,8 +305,13 @@ function createEmptySubscriptionLookup() {
 	};
 }
 
-function buildSubscriptionLookup(channels) {
-	const lookup = createEmptySubscriptionLookup();
+/**
+ * Builds a normalized id/path/name lookup from channel records or names.
+ * Shared by the subscription preserve path and the channel blocklist.
+ * @param {Array<string | {name?: string, channelId?: string, channelPath?: string}>} channels
+ */
+function buildChannelLookup(channels) {
+	const lookup = createEmptyChannelLookup();
 
 	for (const channel of channels || []) {
 		if (typeof channel === "string") {
@@ -296,7 +344,7 @@ function buildSubscriptionLookup(channels) {
 	return lookup;
 }
 
-function isSubscribedChannel(videoData) {
+function isChannelInLookup(videoData, lookup) {
 	const channelId = getNormalizedChannelId(videoData);
 	const channelPath = normalizeChannelPath(
 		videoData.channelPath,
@@ -304,14 +352,150 @@ function isSubscribedChannel(videoData) {
 	const channelName = normalizeText(videoData.channelName)?.toLowerCase();
 
 	return Boolean(
-		(channelId && subscribedChannels.ids.has(channelId)) ||
-			(channelPath && subscribedChannels.paths.has(channelPath)) ||
-			(channelName && subscribedChannels.names.has(channelName)),
+		(channelId && lookup.ids.has(channelId)) ||
+			(channelPath && lookup.paths.has(channelPath)) ||
+			(channelName && lookup.names.has(channelName)),
+	);
+}
+
+function isSubscribedChannel(videoData) {
+	return isChannelInLookup(videoData, subscribedChannels);
+}
+
+function isBlockedChannel(videoData) {
+	return isChannelInLookup(videoData, blockedChannels);
+}
+
+function hasChannelInfo(videoData) {
+	return Boolean(
+		videoData.channelName || videoData.channelPath || videoData.channelId,
+	);
+}
+
+function getShortsMode(settings) {
+	return SHORTS_MODES.includes(settings.shortsMode)
+		? settings.shortsMode
+		: "filter";
+}
+
+function isShortsShelfHidden(settings) {
+	return getShortsMode(settings) !== "filter";
+}
+
+function isShortsVideoElement(videoElement) {
+	return Boolean(
+		videoElement.matches?.(SHORTS_ITEM_SELECTOR) ||
+			videoElement.querySelector(SHORTS_ITEM_SELECTOR) ||
+			videoElement.querySelector(SHORTS_LINK_SELECTOR),
+	);
+}
+
+function isChannelBlockActive(settings) {
+	return Boolean(
+		settings.channelBlockFilterEnabled &&
+			(settings.blockedChannels || []).length > 0,
 	);
 }
 
-const VIDEO_CARD_SELECTOR =
-	"ytd-video-renderer, ytd-rich-item-renderer, ytd-grid-video-renderer, yt-lockup-view-model";
+const SHORTS_ITEM_SELECTOR =
+	"ytm-shorts-lockup-view-model, ytm-shorts-lockup-view-model-v2, ytd-reel-item-renderer";
+const SHORTS_SHELF_SELECTOR =
+	"ytd-reel-shelf-renderer, ytd-rich-shelf-renderer[is-shorts]";
+const SHELF_SELECTOR =
+	"ytd-rich-shelf-renderer, ytd-shelf-renderer, ytd-horizontal-card-list-renderer";
+const SHELF_TITLE_SELECTORS = ["#title-text", "#title", "h2"];
+// Whole sections hidden before the per-card pass. Types match by renderer tag
+// (`selector`) or by the shelf title (`titlePattern`); `statKey` is the stat
+// tile they count toward.
+const SHELF_TYPES = [
+	{
+		id: "shorts",
+		selector: SHORTS_SHELF_SELECTOR,
+		statKey: "shorts",
+		isActive: (settings) => isShortsShelfHidden(settings),
+	},
+	{
+		id: "ads",
+		selector:
+			"ytd-ad-slot-renderer, ytd-in-feed-ad-layout-renderer, ytd-promoted-sparkles-web-renderer, ytd-promoted-video-renderer, ytd-display-ad-renderer, ytd-banner-promo-renderer, ytd-statement-banner-renderer, ytd-search-pyv-renderer",
+		settingKey: "hideAdSlots",
+	},
+	{
+		id: "news",
+		// YouTube's news shelf headings, not any title that mentions news.
+		titlePattern: /^(?:top|breaking|latest|local) news$|^news$/i,
+		settingKey: "hideNewsShelves",
+	},
+	{
+		id: "posts",
+		// Only posts inside Home/feed sections; a channel's Posts tab lists the
+		// same renderers as its content.
+		selector:
+			"ytd-rich-section-renderer ytd-post-renderer, ytd-rich-section-renderer ytd-backstage-post-thread-renderer",
+		titlePattern: /\bposts\b/i,
+		settingKey: "hidePostsShelves",
+	},
+	{
+		id: "mixes",
+		selector: "ytd-radio-renderer, ytd-compact-radio-renderer",
+		titlePattern: /^(?:my )?mix(?:es)?$/i,
+		settingKey: "hideMixShelves",
+	},
+	{
+		id: "exploreTopics",
+		titlePattern: /\bexplore more topics\b/i,
+		settingKey: "hideExploreTopicsShelves",
+	},
+	{
+		id: "peopleAlsoWatched",
+		titlePattern: /\bpeople also (?:watched|search for)\b/i,
+		settingKey: "hidePeopleAlsoWatchedShelves",
+	},
+	{
+		id: "movies",
+		selector:
+			"ytd-movie-renderer, ytd-grid-movie-renderer, ytd-compact-movie-renderer",
+		titlePattern: /\bmovies\b|\bfree with ads\b/i,
+		settingKey: "hideMovieShelves",
+	},
+];
+const SHORTS_LINK_SELECTOR = "a[href^='/shorts/']";
+const SHORTS_MODES = ["filter", "hideShelf", "hideAll"];
+// Post-video grid tiles and end cards inside the watch-page player.
+const PLAYER_VIDEO_CARD_SELECTOR =
+	".ytp-videowall-still, .ytp-modern-videowall-still, .ytp-ce-element.ytp-ce-video";
+const VIDEO_CARD_SELECTOR = `ytd-video-renderer, ytd-rich-item-renderer, ytd-grid-video-renderer, ytd-compact-video-renderer, yt-lockup-view-model, ${SHORTS_ITEM_SELECTOR}, ${PLAYER_VIDEO_CARD_SELECTOR}`;
+const BLOCK_CHANNEL_BUTTON_CLASS = "yt-filter-block-channel";
+const COLLAPSE_STRIP_CLASS = "yt-filter-collapse-strip";
+const PREVIEW_BADGE_CLASS = "yt-filter-preview-badge";
+// Its own class so a card pass over the shelf wrapper doesn't clear it.
+const SHELF_PREVIEW_BADGE_CLASS = "yt-filter-shelf-preview-badge";
+// Controls the extension injects into cards; they keep working on shielded ones.
+const EXTENSION_CONTROL_SELECTOR = `.${BLOCK_CHANNEL_BUTTON_CLASS}, .${COLLAPSE_STRIP_CLASS}, .${PREVIEW_BADGE_CLASS}`;
+const FILTER_ACTION_VERBS = { dim: "Dimmed", spoiler: "Shielded" };
+const SPOILER_SHIELD_SELECTOR = "[data-filter-display='spoiler']";
+// The bare [aria-label] fallback could match thumbnails or buttons.
+const SPOILER_TITLE_SELECTORS = TITLE_SELECTORS.filter(
+	(selector) => selector !== "[aria-label]",
+);
+const SPOILER_TITLE_ATTRIBUTES = ["title", "aria-label"];
+const GET_PREVIEW_COUNTS_ACTION = "getPreviewCounts";
+const AUTOPLAY_GUARD_MODES = ["off", "skip", "cancel"];
+const AUTOPLAY_GUARD_DELAY_MS = 500;
+const UP_NEXT_OVERLAY_SELECTOR = ".ytp-autonav-endscreen-countdown-overlay";
+const UP_NEXT_LINK_SELECTORS = [
+	".ytp-autonav-endscreen-link-container",
+	"a.ytp-next-button",
+];
+const UP_NEXT_TITLE_SELECTOR = ".ytp-autonav-endscreen-upnext-title";
+const UP_NEXT_CHANNEL_SELECTOR = ".ytp-autonav-endscreen-upnext-author";
+const AUTOPLAY_CANCEL_BUTTON_SELECTOR =
+	".ytp-autonav-endscreen-upnext-cancel-button";
+const RELATED_VIDEO_CARD_SELECTOR =
+	"#secondary ytd-compact-video-renderer, #secondary yt-lockup-view-model, #related ytd-compact-video-renderer, #related yt-lockup-view-model";
+const TOAST_CLASS = "yt-filter-toast";
+const TOAST_DURATION_MS = 6000;
+const DISPLAY_MODES = ["remove", "dim", "blur", "collapse"];
 const MAX_METADATA_RETRY_COUNT = 6;
 const METADATA_RETRY_DELAY_MS = 2000;
 const SETTLING_RESCAN_DELAYS_MS = [1500, 4000, 8000];
@@ -322,12 +506,8 @@ const SETTLING_RESCAN_DELAYS_MS = [1500, 4000, 8000];
  * @returns {boolean}
  */
 function hasActiveHideFilters(settings) {
-	return Boolean(
-		settings.viewsFilterEnabled ||
-			settings.durationFilterEnabled ||
-			settings.keywordFilterEnabled ||
-			settings.ageFilterEnabled ||
-			isEnglishOnlyEnabled(settings),
+	return FILTER_REGISTRY.some(
+		(filter) => filter.action !== "keep" && filter.isActive(settings),
 	);
 }
 
@@ -349,8 +529,13 @@ function resetProcessedVideoCards(root = document) {
 		videoElement.removeAttribute("data-filter-processed");
 		videoElement.removeAttribute("data-filtered");
 		videoElement.removeAttribute("data-filter-reason");
+		videoElement.removeAttribute("data-filter-action");
+		videoElement.removeAttribute("data-filter-revealed");
 		videoElement.removeAttribute("data-subscribed-channel");
+		removeBlockChannelButton(videoElement);
+		clearVideoCardDisplay(videoElement);
 		delete videoElement.dataset.titleLanguage;
+		delete videoElement.dataset.allowKeyword;
 		delete videoElement.dataset.filterRetryCount;
 		videoElement.style.display = "";
 		videoElement.style.opacity = "";
@@ -359,6 +544,8 @@ function resetProcessedVideoCards(root = document) {
 		videoElement.style.borderRadius = "";
 		videoElement.style.background = "";
 	}
+
+	restoreShelves(root);
 }
 
 function getNormalizedChannelId(videoData) {
@@ -394,13 +581,11 @@ function getFirstMatchingElement(root, selectors) {
 }
 
 function getMetadataText(videoElement) {
-	return normalizeText(
-		METADATA_TEXT_SELECTORS.map(
-			(selector) => videoElement.querySelector(selector)?.innerText,
-		)
-			.filter(Boolean)
-			.join(" "),
-	);
+	return METADATA_TEXT_SELECTORS.map(
+		(selector) => videoElement.querySelector(selector)?.innerText,
+	)
+		.filter(Boolean)
+		.join("\n");
 }
 
 function extractDurationFromElement(videoElement) {
@@ -420,36 +605,27 @@ function extractDurationFromElement(videoElement) {
 	return thumbnailText?.match(DURATION_TEXT_PATTERN)?.[0] || null;
 }
 
+/**
+ * Fills view count and publish time from card text, line by line and with
+ * no-break spaces kept, so a title ending in a number ("Top 10") can't run
+ * into a view count grouped like "1 200 vues".
+ */
 function fillMetadataFromText(videoData, metadataText) {
-	if (!videoData.viewCount) {
-		videoData.viewCount =
-			extractMatch(metadataText, VIEW_COUNT_PATTERN) ||
-			extractMatch(metadataText, NO_VIEWS_PATTERN);
-	}
-
-	if (!videoData.publishTime) {
-		videoData.publishTime = extractMatch(metadataText, PUBLISH_TIME_PATTERN);
-	}
-}
-
-function fillMetadataFromFullText(videoData, fullText) {
-	if (!fullText) {
+	if (typeof metadataText !== "string") {
 		return;
 	}
 
-	if (!videoData.viewCount) {
-		const viewMatch = fullText.match(VIEW_COUNT_PATTERN);
-		if (viewMatch) {
-			videoData.viewCount = normalizeText(viewMatch[0]);
-		} else if (fullText.match(NO_VIEWS_PATTERN)) {
-			videoData.viewCount = "No views";
+	const lines = metadataText
+		.split("\n")
+		.map((line) => line.replace(/[^\S\u00a0\u202f]+/g, " ").trim())
+		.filter(Boolean);
+	for (const line of lines) {
+		if (!videoData.viewCount) {
+			videoData.viewCount = LocaleParser.findViewCountText(line);
 		}
-	}
 
-	if (!videoData.publishTime) {
-		const timeMatch = fullText.match(PUBLISH_TIME_PATTERN);
-		if (timeMatch) {
-			videoData.publishTime = normalizeText(timeMatch[0]);
+		if (!videoData.publishTime) {
+			videoData.publishTime = LocaleParser.findPublishTimeText(line);
 		}
 	}
 }
@@ -475,6 +651,18 @@ function fillChannelInfoFromLink(videoElement, videoData) {
 	}
 }
 
+function fillPlayerChannelNameFromText(videoElement, videoData) {
+	if (videoData.channelName || !isPlayerVideoCard(videoElement)) {
+		return;
+	}
+
+	const bylineText = normalizeText(
+		getFirstMatchingElement(videoElement, PLAYER_CHANNEL_TEXT_SELECTORS)
+			?.textContent,
+	);
+	videoData.channelName = bylineText?.split(" • ")[0] || null;
+}
+
 function fillLockupChannelNameFromText(videoElement, videoData) {
 	if (
 		videoData.channelName ||
@@ -492,6 +680,62 @@ function fillLockupChannelNameFromText(videoElement, videoData) {
 	}
 }
 
+function extractLiveStateFromElement(videoElement) {
+	for (const [liveState, selector] of Object.entries(LIVE_BADGE_SELECTORS)) {
+		if (videoElement.querySelector(selector)) {
+			return liveState;
+		}
+	}
+
+	const texts = LIVE_STATE_TEXT_SELECTORS.flatMap((selector) =>
+		Array.from(videoElement.querySelectorAll(selector), (element) =>
+			normalizeText(element.textContent),
+		),
+	);
+	if (texts.includes("LIVE")) {
+		return "live";
+	}
+	if (texts.includes("UPCOMING")) {
+		return "upcoming";
+	}
+
+	return window.YouTubeDataExtractor?.getLiveStateFromText?.(texts) || null;
+}
+
+function extractBadgesFromElement(videoElement) {
+	const badgeTexts = BADGE_SELECTORS.flatMap((selector) =>
+		Array.from(videoElement.querySelectorAll(selector), (element) => [
+			element.className,
+			element.getAttribute("aria-label"),
+			normalizeText(element.textContent),
+		]).flat(),
+	);
+	return BadgeDetector.detectBadges(badgeTexts);
+}
+
+function extractWatchedPercentFromElement(videoElement) {
+	for (const selector of WATCHED_PROGRESS_SELECTORS) {
+		const width = videoElement.querySelector(selector)?.style.width;
+		const percent = parseFloat(width || "");
+		if (width?.endsWith("%") && percent > 0) {
+			return Math.min(Math.round(percent), 100);
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Collects unique lowercase hashtags, e.g. ["#shorts", "#minecraft"].
+ * @returns {string[]}
+ */
+function extractHashtags(...texts) {
+	const hashtags = texts.flatMap((text) =>
+		typeof text === "string" ? text.match(HASHTAG_PATTERN) || [] : [],
+	);
+	return [...new Set(hashtags.map((hashtag) => hashtag.toLowerCase()))];
+}
+
 function queueVideoCardForReprocessing(videoElement) {
 	if (!videoElement) {
 		return;
@@ -519,6 +763,9 @@ function extractVideoData(videoElement) {
 	const data = {
 		title: structuredData.title || null,
 		titleLanguage: null,
+		titleLanguages: [],
+		clickbaitScore: 0,
+		clickbaitSignals: {},
 		viewCount: structuredData.viewCount || null,
 		duration: structuredData.duration || null,
 		publishTime: structuredData.publishTime || null,
@@ -526,6 +773,15 @@ function extractVideoData(videoElement) {
 		channelName: structuredData.channelName || null,
 		channelId: structuredData.channelId || null,
 		channelPath: structuredData.channelPath || null,
+		descriptionSnippet: structuredData.descriptionSnippet || null,
+		hashtags: [],
+		badges: structuredData.badges || [],
+		isShort: Boolean(structuredData.isShort),
+		liveState: structuredData.liveState || null,
+		watchedPercent: structuredData.watchedPercent || null,
+		uploadDate: structuredData.uploadDate || null,
+		uploadDateExact: Boolean(structuredData.uploadDate),
+		viewsPerDay: null,
 	};
 
 	try {
@@ -551,15 +807,42 @@ function extractVideoData(videoElement) {
 			data.duration = extractDurationFromElement(videoElement);
 		}
 
+		if (!data.descriptionSnippet) {
+			data.descriptionSnippet = normalizeText(
+				getFirstMatchingElement(videoElement, DESCRIPTION_SNIPPET_SELECTORS)
+					?.textContent,
+			);
+		}
+
 		fillMetadataFromText(data, getMetadataText(videoElement));
-		fillMetadataFromFullText(data, normalizeText(videoElement.innerText));
+		fillMetadataFromText(data, videoElement.innerText);
 		fillChannelInfoFromLink(videoElement, data);
 		fillLockupChannelNameFromText(videoElement, data);
+		fillPlayerChannelNameFromText(videoElement, data);
+		data.isShort = data.isShort || isShortsVideoElement(videoElement);
+		data.liveState =
+			data.liveState || extractLiveStateFromElement(videoElement);
+		if (data.badges.length === 0) {
+			data.badges = extractBadgesFromElement(videoElement);
+		}
+		data.watchedPercent =
+			data.watchedPercent || extractWatchedPercentFromElement(videoElement);
 	} catch (error) {
 		console.warn("[Filter] Error extracting video data:", error);
 	}
 
-	data.titleLanguage = detectTitleLanguage(data.title);
+	data.titleLanguages = LanguageDetector.detectTitleLanguages(
+		normalizeText(data.title),
+	);
+	data.titleLanguage = data.titleLanguages[0] || "unknown";
+	data.hashtags = extractHashtags(data.title, data.descriptionSnippet);
+	const clickbait = ClickbaitScorer.scoreClickbaitTitle(data.title);
+	data.clickbaitScore = clickbait.score;
+	data.clickbaitSignals = clickbait.signals;
+	if (!data.uploadDate) {
+		data.uploadDate = estimateUploadDate(data.publishTime);
+	}
+	data.viewsPerDay = calculateViewsPerDay(data.viewCount, data.publishTime);
 
 	return data;
 }
@@ -569,12 +852,32 @@ function extractVideoData(videoElement) {
 // Individual filter functions - each returns true if video should be filtered
 // ============================================================================
 
+/**
+ * Checks if video belongs to a blocked channel
+ * @returns {Object} { shouldFilter: boolean, reason: string }
+ */
+function checkChannelBlockFilter(videoData, settings) {
+	if (!isChannelBlockActive(settings) || !hasChannelInfo(videoData)) {
+		return { shouldFilter: false };
+	}
+
+	if (isBlockedChannel(videoData)) {
+		return {
+			shouldFilter: true,
+			reason: "channel",
+			details: `Blocked channel: ${videoData.channelName || videoData.channelPath || videoData.channelId}`,
+		};
+	}
+
+	return { shouldFilter: false };
+}
+
 /**
  * Checks if video should be filtered by view count
  * @returns {Object} { shouldFilter: boolean, reason: string }
  */
 function checkViewsFilter(videoData, settings) {
-	if (!settings.viewsFilterEnabled || settings.minViews <= 0) {
+	if (!isViewsFilterActive(settings)) {
 		return { shouldFilter: false };
 	}
 
@@ -584,13 +887,90 @@ function checkViewsFilter(videoData, settings) {
 		return { shouldFilter: false };
 	}
 
+	// "1.2K watching" and premiere waiting counts are viewers, not views.
+	if (videoData.liveState === "live" || videoData.liveState === "upcoming") {
+		return { shouldFilter: false };
+	}
+
 	// Check if views are below threshold
 	const viewCount = parseViewCount(videoData.viewCount);
-	if (viewCount < settings.minViews) {
+	if (viewCount >= settings.minViews) {
+		return { shouldFilter: false };
+	}
+
+	// In "both" mode a fast-growing upload is kept despite a low total.
+	if (
+		isViewsPerDayFilterActive(settings) &&
+		getViewsPerDayMode(settings) === "both" &&
+		videoData.viewsPerDay !== null
+	) {
+		if (videoData.viewsPerDay >= settings.minViewsPerDay) {
+			return { shouldFilter: false };
+		}
+
 		return {
 			shouldFilter: true,
 			reason: "views",
-			details: `Low views: ${videoData.viewCount} (${viewCount})`,
+			details: `Low views: ${videoData.viewCount} (${viewCount} < ${settings.minViews}, ${formatViewsPerDay(videoData.viewsPerDay)} < ${settings.minViewsPerDay})`,
+		};
+	}
+
+	return {
+		shouldFilter: true,
+		reason: "views",
+		details: `Low views: ${videoData.viewCount} (${viewCount} < ${settings.minViews})`,
+	};
+}
+
+const VIEWS_PER_DAY_MODES = ["both", "either", "replace"];
+
+/**
+ * How the views/day threshold combines with min views:
+ * "both" hides only when both are low, "either" when one is low, and
+ * "replace" ignores min views.
+ * @returns {"both" | "either" | "replace"}
+ */
+function getViewsPerDayMode(settings) {
+	return VIEWS_PER_DAY_MODES.includes(settings.viewsPerDayMode)
+		? settings.viewsPerDayMode
+		: "both";
+}
+
+function isViewsPerDayFilterActive(settings) {
+	return Boolean(
+		settings.viewsPerDayFilterEnabled && settings.minViewsPerDay > 0,
+	);
+}
+
+function isViewsFilterActive(settings) {
+	if (!settings.viewsFilterEnabled || settings.minViews <= 0) {
+		return false;
+	}
+
+	return !(
+		isViewsPerDayFilterActive(settings) &&
+		getViewsPerDayMode(settings) === "replace"
+	);
+}
+
+/**
+ * Checks if video gains views too slowly, e.g. "1.2K views" in "2 years ago"
+ * @returns {Object} { shouldFilter: boolean, reason: string }
+ */
+function checkViewsPerDayFilter(videoData, settings) {
+	if (videoData.viewsPerDay === null) {
+		return { shouldFilter: false };
+	}
+
+	if (videoData.liveState === "live" || videoData.liveState === "upcoming") {
+		return { shouldFilter: false };
+	}
+
+	if (videoData.viewsPerDay < settings.minViewsPerDay) {
+		return {
+			shouldFilter: true,
+			reason: "viewsPerDay",
+			details: `Low velocity: ${formatViewsPerDay(videoData.viewsPerDay)} < ${settings.minViewsPerDay} (${videoData.viewCount}, ${videoData.publishTime})`,
 		};
 	}
 
@@ -636,9 +1016,10 @@ function checkDurationFilter(videoData, settings) {
  * @returns {Object} { shouldFilter: boolean, reason: string }
  */
 function checkAgeFilter(videoData, settings) {
-	const maxAgeYears = settings.maxAgeYears ?? settings.maxAge ?? 0;
+	const maxAgeDays = getMaxAgeDays(settings);
+	const minAgeDays = getMinAgeDays(settings);
 
-	if (!settings.ageFilterEnabled || maxAgeYears <= 0) {
+	if (!settings.ageFilterEnabled || (maxAgeDays <= 0 && minAgeDays <= 0)) {
 		return { shouldFilter: false };
 	}
 
@@ -647,40 +1028,108 @@ function checkAgeFilter(videoData, settings) {
 	}
 
 	const videoAge = parseVideoAge(videoData.publishTime);
-	if (videoAge >= maxAgeYears) {
+	if (videoAge === null) {
+		return { shouldFilter: false };
+	}
+
+	if (maxAgeDays > 0 && videoAge >= maxAgeDays) {
+		return {
+			shouldFilter: true,
+			reason: "age",
+			details: `Too old: ${videoData.publishTime} (${formatAgeDays(videoAge)} ≥ ${formatAgeDays(maxAgeDays)})`,
+		};
+	}
+
+	if (minAgeDays > 0 && videoAge < minAgeDays) {
 		return {
 			shouldFilter: true,
 			reason: "age",
-			details: `Too old: ${videoData.publishTime} (${videoAge} years)`,
+			details: `Too new: ${videoData.publishTime} (${formatAgeDays(videoAge)} < ${formatAgeDays(minAgeDays)})`,
 		};
 	}
 
 	return { shouldFilter: false };
 }
 
+/**
+ * Text of each field keyword rules can target.
+ * @returns {Object<string, string | null>}
+ */
+function getKeywordFieldTexts(videoData) {
+	return {
+		title: videoData.title,
+		channel: videoData.channelName,
+		description: videoData.descriptionSnippet,
+		hashtags: videoData.hashtags?.join(" ") || null,
+	};
+}
+
+/**
+ * Fields to wait for before matching keywords. Description snippets and
+ * hashtags only exist on some surfaces, so they are never waited for.
+ * @returns {string[]}
+ */
+function getKeywordRequiredFields(keywords) {
+	const entries = (keywords || [])
+		.map((keyword) => KeywordMatcher.normalizeKeywordEntry(keyword))
+		.filter(Boolean);
+	return entries.some((entry) => entry.fields.includes("channel"))
+		? ["title", "channelName"]
+		: ["title"];
+}
+
+/**
+ * Banned keywords from the default list and every enabled keyword group,
+ * minus temporary mutes that have run out.
+ * @returns {Array<{keyword: string | Object, groupName: string | null}>}
+ */
+function getBannedKeywords(settings) {
+	const sources = [
+		{
+			name: null,
+			keywords: settings.keywords || settings.bannedKeywords || [],
+		},
+		...keywordGroups.filter(
+			(group) => group?.enabled !== false && Array.isArray(group.keywords),
+		),
+	];
+
+	return sources.flatMap((source) =>
+		source.keywords
+			.filter((keyword) => !KeywordMatcher.isKeywordEntryExpired(keyword))
+			.map((keyword) => ({ keyword, groupName: source.name || null })),
+	);
+}
+
 /**
  * Checks if video should be filtered by keywords
  * @returns {Object} { shouldFilter: boolean, reason: string }
  */
 function checkKeywordsFilter(videoData, settings) {
-	const bannedKeywords = settings.keywords || settings.bannedKeywords || [];
+	const bannedKeywords = getBannedKeywords(settings);
 
 	if (!settings.keywordFilterEnabled || bannedKeywords.length === 0) {
 		return { shouldFilter: false };
 	}
 
-	if (!videoData.title) {
-		return { shouldFilter: false }; // Can't filter without title
-	}
-
-	const titleLower = videoData.title.toLowerCase();
-
-	for (const keyword of bannedKeywords) {
-		if (keyword && titleLower.includes(keyword.toLowerCase())) {
+	const fieldTexts = getKeywordFieldTexts(videoData);
+	for (const { keyword, groupName } of bannedKeywords) {
+		const entry = KeywordMatcher.normalizeKeywordEntry(keyword);
+		const field = entry
+			? KeywordMatcher.matchKeywordEntryFields(entry, fieldTexts)
+			: null;
+		if (field) {
+			// Name the field only when the rule could have matched several.
+			const matchedIn =
+				entry.fields.length > 1
+					? `, matched ${KeywordMatcher.KEYWORD_FIELD_LABELS[field]}`
+					: "";
 			return {
 				shouldFilter: true,
-				reason: "keyword",
-				details: `Banned keyword: "${keyword}"`,
+				reason: "keywords",
+				action: entry.action,
+				spoilerTerm: entry.text,
+				details: `Banned keyword${groupName ? ` from "${groupName}"` : ""}: "${entry.text}" (${KeywordMatcher.describeKeywordEntry(entry)})${matchedIn}`,
 			};
 		}
 	}
@@ -688,82 +1137,1034 @@ function checkKeywordsFilter(videoData, settings) {
 	return { shouldFilter: false };
 }
 
-function checkLanguageFilter(videoData, settings) {
-	if (!isEnglishOnlyEnabled(settings)) {
+/**
+ * Checks if video is a Short while every Short is hidden
+ * @returns {Object} { shouldFilter: boolean, reason: string }
+ */
+function checkShortsFilter(videoData, settings) {
+	if (getShortsMode(settings) !== "hideAll" || !videoData.isShort) {
+		return { shouldFilter: false };
+	}
+
+	return {
+		shouldFilter: true,
+		reason: "shorts",
+		details: "Shorts hidden (hide all Shorts mode)",
+	};
+}
+
+function isUploadDateFilterActive(settings) {
+	return Boolean(
+		settings.uploadDateFilterEnabled &&
+			(settings.uploadedAfter || settings.uploadedBefore),
+	);
+}
+
+/**
+ * Checks if video was uploaded outside the absolute date range.
+ * Dates derived from "N units ago" are approximate and marked with "≈".
+ * @returns {Object} { shouldFilter: boolean, reason: string }
+ */
+function checkUploadDateFilter(videoData, settings) {
+	if (!isUploadDateFilterActive(settings) || !videoData.uploadDate) {
 		return { shouldFilter: false };
 	}
 
-	if (!videoData.titleLanguage || videoData.titleLanguage === "unknown") {
+	const uploadDate = `${videoData.uploadDateExact ? "" : "≈"}${videoData.uploadDate}`;
+	if (settings.uploadedAfter && videoData.uploadDate < settings.uploadedAfter) {
 		return {
 			shouldFilter: true,
-			reason: "language",
-			details: "Title language: unknown (English only mode)",
+			reason: "uploadDate",
+			details: `Uploaded ${uploadDate}, before ${settings.uploadedAfter}`,
 		};
 	}
 
-	if (videoData.titleLanguage !== "en") {
+	if (
+		settings.uploadedBefore &&
+		videoData.uploadDate > settings.uploadedBefore
+	) {
 		return {
 			shouldFilter: true,
-			reason: "language",
-			details: `Title language: ${videoData.titleLanguage} (English only mode)`,
+			reason: "uploadDate",
+			details: `Uploaded ${uploadDate}, after ${settings.uploadedBefore}`,
 		};
 	}
 
 	return { shouldFilter: false };
 }
 
-function hasIncompleteMetadata(videoData, settings) {
-	const maxAgeYears = settings.maxAgeYears ?? settings.maxAge ?? 0;
-	const bannedKeywords = settings.keywords || settings.bannedKeywords || [];
+function isLiveFilterActive(settings) {
+	return Object.values(LIVE_STATE_SETTINGS).some(
+		(settingsKey) => settings[settingsKey],
+	);
+}
+
+/**
+ * Checks if video is a live, upcoming or past stream the user chose to hide
+ * @returns {Object} { shouldFilter: boolean, reason: string }
+ */
+function checkLiveFilter(videoData, settings) {
+	const settingsKey = LIVE_STATE_SETTINGS[videoData.liveState];
+	if (!settingsKey || !settings[settingsKey]) {
+		return { shouldFilter: false };
+	}
+
+	return {
+		shouldFilter: true,
+		reason: "live",
+		details: LIVE_STATE_LABELS[videoData.liveState],
+	};
+}
+
+function getPartiallyWatchedMode(settings) {
+	return PARTIALLY_WATCHED_MODES.includes(settings.partiallyWatchedMode)
+		? settings.partiallyWatchedMode
+		: "show";
+}
+
+/**
+ * Checks if video was already watched past the threshold; partially watched
+ * videos are shown, dimmed or hidden per `partiallyWatchedMode`
+ * @returns {Object} { shouldFilter: boolean, action?: string, reason: string }
+ */
+function checkWatchedFilter(videoData, settings) {
+	if (!settings.watchedFilterEnabled || !videoData.watchedPercent) {
+		return { shouldFilter: false };
+	}
+
+	const maxWatchedPercent = settings.maxWatchedPercent ?? 90;
+	if (videoData.watchedPercent > maxWatchedPercent) {
+		return {
+			shouldFilter: true,
+			reason: "watched",
+			details: `Watched ${videoData.watchedPercent}% (> ${maxWatchedPercent}%)`,
+		};
+	}
+
+	const partiallyWatchedMode = getPartiallyWatchedMode(settings);
+	if (partiallyWatchedMode === "show") {
+		return { shouldFilter: false };
+	}
+
+	return {
+		shouldFilter: true,
+		action: partiallyWatchedMode,
+		reason: "watched",
+		details: `Partially watched: ${videoData.watchedPercent}%`,
+	};
+}
+
+function isAllowKeywordActive(settings) {
+	return Boolean(
+		settings.allowKeywordFilterEnabled &&
+			(settings.allowKeywords || []).length > 0,
+	);
+}
+
+/**
+ * Keep rule for allow keywords, which win over every hide rule.
+ * @returns {Object} { shouldKeep: boolean, reason: string }
+ */
+function checkAllowKeywordRule(videoData, settings) {
+	const allowMatch = findAllowKeywordMatch(videoData, settings);
+	if (!allowMatch) {
+		return { shouldKeep: false };
+	}
+
+	return {
+		shouldKeep: true,
+		reason: "allowed",
+		allowKeyword: allowMatch,
+		details: `Allow keyword: "${allowMatch.text}"`,
+	};
+}
+
+/**
+ * Keep rule for the "Keep subscriptions visible" toggle.
+ * Runs after the channel blocklist so explicit blocks still win.
+ * @returns {Object} { shouldKeep: boolean, reason: string }
+ */
+function checkSubscribedChannelRule(videoData, settings) {
+	if (!settings.preserveSubscribedChannels || !isSubscribedChannel(videoData)) {
+		return { shouldKeep: false };
+	}
+
+	return {
+		shouldKeep: true,
+		reason: "subscribed",
+		details: "Subscribed channel",
+	};
+}
+
+/**
+ * Finds the allow keyword that protects a video from every hide filter.
+ * @returns {{text: string, mode: string, caseSensitive: boolean, fields: string[]} | null}
+ */
+function findAllowKeywordMatch(videoData, settings) {
+	if (!isAllowKeywordActive(settings)) {
+		return null;
+	}
+
+	const fieldTexts = getKeywordFieldTexts(videoData);
+	for (const keyword of settings.allowKeywords) {
+		const entry = KeywordMatcher.normalizeKeywordEntry(keyword);
+		if (entry && KeywordMatcher.matchKeywordEntryFields(entry, fieldTexts)) {
+			return entry;
+		}
+	}
+
+	return null;
+}
+
+function isLanguageFilterActive(settings) {
+	return LanguageDetector.getLanguageFilterSettings(settings).enabled;
+}
+
+/**
+ * Keeps titles in the allowed languages. Mixed titles pass when any, the
+ * primary, or all of their languages are allowed, per `mixedLanguagePolicy`.
+ * @returns {Object} { shouldFilter: boolean, reason: string }
+ */
+function checkLanguageFilter(videoData, settings) {
+	const {
+		enabled,
+		allowedLanguages,
+		mixedLanguagePolicy,
+		unknownLanguagePolicy,
+	} = LanguageDetector.getLanguageFilterSettings(settings);
+	if (!enabled) {
+		return { shouldFilter: false };
+	}
+
+	const allowedText = `allowed: ${allowedLanguages.join(", ") || "none"}`;
+	const languages = videoData.titleLanguages || [];
+	if (languages.length === 0) {
+		return unknownLanguagePolicy === "hide"
+			? {
+					shouldFilter: true,
+					reason: "language",
+					details: `Title language: unknown (${allowedText})`,
+				}
+			: { shouldFilter: false };
+	}
+
+	const isAllowed = (language) => allowedLanguages.includes(language);
+	const isKept =
+		mixedLanguagePolicy === "all"
+			? languages.every(isAllowed)
+			: mixedLanguagePolicy === "primary"
+				? isAllowed(languages[0])
+				: languages.some(isAllowed);
+	if (isKept) {
+		return { shouldFilter: false };
+	}
+
+	return {
+		shouldFilter: true,
+		reason: "language",
+		details: `Title language: ${languages.join(" + ")} (${allowedText})`,
+	};
+}
+
+/**
+ * Checks if the title's clickbait score reaches the threshold
+ * @returns {Object} { shouldFilter: boolean, reason: string }
+ */
+function checkClickbaitFilter(videoData, settings) {
+	if (videoData.clickbaitScore < settings.clickbaitThreshold) {
+		return { shouldFilter: false };
+	}
+
+	return {
+		shouldFilter: true,
+		reason: "clickbait",
+		details: `Clickbait score: ${videoData.clickbaitScore} ≥ ${settings.clickbaitThreshold} (${ClickbaitScorer.formatClickbaitSignals(videoData.clickbaitSignals)})`,
+	};
+}
+
+/**
+ * Hides videos carrying a hidden badge, or missing any required badge.
+ * @returns {Object} { shouldFilter: boolean, reason: string }
+ */
+function checkBadgeFilter(videoData, settings) {
+	const badges = videoData.badges || [];
+	const formatBadge = (badge) => BadgeDetector.VIDEO_BADGE_LABELS[badge];
+	const hiddenBadge = BadgeDetector.normalizeBadgeList(
+		settings.hiddenBadges,
+	).find((badge) => badges.includes(badge));
+	if (hiddenBadge) {
+		return {
+			shouldFilter: true,
+			reason: "badges",
+			details: `Badge: ${formatBadge(hiddenBadge)}`,
+		};
+	}
+
+	const missingBadges = BadgeDetector.normalizeBadgeList(
+		settings.requiredBadges,
+	).filter((badge) => !badges.includes(badge));
+	if (missingBadges.length > 0) {
+		return {
+			shouldFilter: true,
+			reason: "badges",
+			details: `Missing badge: ${missingBadges.map(formatBadge).join(", ")} (has: ${badges.map(formatBadge).join(", ") || "none"})`,
+		};
+	}
+
+	return { shouldFilter: false };
+}
+
+function isBadgeFilterActive(settings) {
+	return Boolean(
+		settings.badgeFilterEnabled &&
+			(BadgeDetector.normalizeBadgeList(settings.hiddenBadges).length > 0 ||
+				BadgeDetector.normalizeBadgeList(settings.requiredBadges).length > 0),
+	);
+}
+
+// 0 is a real value (e.g. 0 views/day), so only empty values count as missing.
+function isEmptyVideoField(videoData, field) {
+	const value = videoData[field];
+	return value === null || value === undefined || value === "";
+}
+
+function isMissingVideoField(videoData, requiredField) {
+	return Array.isArray(requiredField)
+		? requiredField.every((field) => isEmptyVideoField(videoData, field))
+		: isEmptyVideoField(videoData, requiredField);
+}
+
+/**
+ * Returns whether an active filter needs a field the card hasn't loaded yet.
+ */
+function hasIncompleteMetadata(videoData, settings) {
+	return FILTER_REGISTRY.some(
+		(filter) =>
+			isFilterApplicable(filter, videoData, settings) &&
+			getFilterRequiredFields(filter, settings, videoData).some(
+				(requiredField) => isMissingVideoField(videoData, requiredField),
+			),
+	);
+}
+
+function getPageType(pathname = location.pathname) {
+	const normalizedPath = normalizePathname(pathname);
+
+	if (normalizedPath === "/") return "home";
+	if (normalizedPath === "/results") return "search";
+	if (normalizedPath === "/watch") return "watch";
+	if (normalizedPath.startsWith("/shorts/")) return "shorts";
+	if (isSubscriptionsPage(normalizedPath)) return "subscriptions";
+	if (normalizedPath.startsWith("/feed/")) return normalizedPath.slice(6);
+	if (isChannelPage(normalizedPath)) return "channel";
+	return "other";
+}
+
+/**
+ * Builds the values that user rule expressions are evaluated against.
+ * Missing metadata stays null so conditions on it never match.
+ */
+function buildRuleContext(videoData) {
+	return {
+		title: videoData.title,
+		channel: videoData.channelName,
+		views: videoData.viewCount ? parseViewCount(videoData.viewCount) : null,
+		velocity: videoData.viewsPerDay,
+		duration: videoData.duration ? parseDuration(videoData.duration) : null,
+		age: videoData.publishTime ? parseVideoAge(videoData.publishTime) : null,
+		language: videoData.titleLanguage,
+		clickbait: videoData.clickbaitScore,
+		badge: videoData.badges.join(" "),
+		page: getPageType(),
+		subscribed: isSubscribedChannel(videoData),
+		short: videoData.isShort,
+		watched: videoData.watchedPercent || 0,
+	};
+}
+
+function getActiveCustomRules(settings) {
+	return (settings.customRules || []).filter(
+		(rule) =>
+			rule?.enabled !== false &&
+			FilterRuleEngine.RULE_ACTIONS.includes(rule.action) &&
+			FilterRuleEngine.compileRule(rule),
+	);
+}
+
+/**
+ * Evaluates user-defined rules in order; the first matching rule decides.
+ * @returns {Object} { shouldFilter | shouldKeep: boolean, action, reason, details }
+ */
+function checkCustomRules(videoData, settings, ruleContext) {
+	for (const rule of getActiveCustomRules(settings)) {
+		const tree = FilterRuleEngine.compileRule(rule);
+		if (!FilterRuleEngine.evaluateRuleCondition(tree, ruleContext)) {
+			continue;
+		}
+
+		const details = `Rule "${rule.name || rule.expression}" (${rule.action}): ${rule.expression}`;
+		if (rule.action === "keep") {
+			return { shouldKeep: true, reason: "rule", details };
+		}
+
+		return {
+			shouldFilter: true,
+			action: rule.action,
+			reason: "rule",
+			details,
+		};
+	}
+
+	return { shouldFilter: false };
+}
+
+// ----------------------------------------------------------------------------
+// Filter registry
+// Each filter declares its id, label, the settings keys it reads and the
+// videoData fields it needs. Metadata retry, stats counters, popup stat tiles
+// and history reasons are all derived from these declarations. Registration
+// order is evaluation order; the popup toggles sit around the user's rules.
+// ----------------------------------------------------------------------------
+
+const FILTER_REGISTRY = [];
+const FILTER_REGISTRY_STORAGE_KEY = "filterRegistry";
+
+/**
+ * Registers a filter.
+ * @param {Object} definition
+ * @param {string} definition.id - Stable id, also used as stats key and card reason
+ * @param {string} definition.label - Label for popup stat tiles and history
+ * @param {string[]} definition.settingsKeys - Settings the filter reads
+ * @param {Array<string | string[]> | function(Object, Object): Array<string | string[]>} [definition.requiredFields]
+ *   videoData fields to wait for before giving up; an array entry means "any of".
+ *   Functions get the settings and the card's videoData
+ * @param {"hide" | "keep"} [definition.action="hide"]
+ * @param {boolean} [definition.countInStats=true]
+ * @param {boolean} [definition.appliesToShorts=true] - False for filters whose
+ *   metadata Shorts cards never show (duration, age)
+ * @param {function(Object): boolean} definition.isActive
+ * @param {function(Object, Object, Object): Object} definition.check
+ */
+function registerFilter(definition) {
+	FILTER_REGISTRY.push({
+		action: "hide",
+		countInStats: true,
+		appliesToShorts: true,
+		requiredFields: [],
+		...definition,
+	});
+}
+
+function getFilterDefinition(filterId) {
+	return FILTER_REGISTRY.find((filter) => filter.id === filterId) || null;
+}
+
+function getFilterRequiredFields(filter, settings, videoData) {
+	return typeof filter.requiredFields === "function"
+		? filter.requiredFields(settings, videoData)
+		: filter.requiredFields;
+}
+
+function isFilterApplicable(filter, videoData, settings) {
+	return (
+		filter.isActive(settings) && (filter.appliesToShorts || !videoData.isShort)
+	);
+}
+
+function getStatFilters() {
+	return FILTER_REGISTRY.filter((filter) => filter.countInStats);
+}
+
+function createFilterStats() {
+	const stats = { total: 0 };
+	for (const filter of getStatFilters()) {
+		stats[filter.id] = 0;
+	}
+
+	return stats;
+}
+
+/**
+ * Shares filter ids and labels with the popup so its stat tiles and history
+ * follow the registry.
+ */
+function publishFilterRegistry() {
+	chrome.storage.local.set({
+		[FILTER_REGISTRY_STORAGE_KEY]: getStatFilters().map((filter) => ({
+			id: filter.id,
+			label: filter.label,
+			action: filter.action,
+		})),
+	});
+}
+
+function getFiltersForSettingsKeys(keys) {
+	return FILTER_REGISTRY.filter((filter) =>
+		filter.settingsKeys.some((settingsKey) => keys.includes(settingsKey)),
+	);
+}
+
+function getCustomRuleRequiredFields(settings) {
+	return [
+		...new Set(
+			getActiveCustomRules(settings).flatMap((rule) =>
+				FilterRuleEngine.getRuleFields(FilterRuleEngine.compileRule(rule)),
+			),
+		),
+	]
+		.map((field) => FilterRuleEngine.RULE_FIELDS[field]?.dataField)
+		.filter(Boolean);
+}
+
+registerFilter({
+	id: "allowed",
+	label: "Allowed",
+	action: "keep",
+	settingsKeys: ["allowKeywordFilterEnabled", "allowKeywords"],
+	requiredFields: (settings) =>
+		getKeywordRequiredFields(settings.allowKeywords),
+	isActive: isAllowKeywordActive,
+	check: checkAllowKeywordRule,
+});
+
+registerFilter({
+	id: "channel",
+	label: "Channel",
+	settingsKeys: ["channelBlockFilterEnabled", "blockedChannels"],
+	requiredFields: [["channelName", "channelPath", "channelId"]],
+	isActive: isChannelBlockActive,
+	check: checkChannelBlockFilter,
+});
+
+// After the blocklist, so a `keep` rule can't bring back a blocked channel.
+registerFilter({
+	id: "rule",
+	label: "Rules",
+	settingsKeys: ["customRules"],
+	requiredFields: getCustomRuleRequiredFields,
+	isActive: (settings) => getActiveCustomRules(settings).length > 0,
+	check: checkCustomRules,
+});
+
+registerFilter({
+	id: "shorts",
+	label: "Shorts",
+	settingsKeys: ["shortsMode"],
+	isActive: (settings) => getShortsMode(settings) === "hideAll",
+	check: checkShortsFilter,
+});
+
+registerFilter({
+	id: "subscribed",
+	label: "Subscribed",
+	action: "keep",
+	countInStats: false,
+	settingsKeys: ["preserveSubscribedChannels"],
+	isActive: (settings) => Boolean(settings.preserveSubscribedChannels),
+	check: checkSubscribedChannelRule,
+});
+
+registerFilter({
+	id: "live",
+	label: "Live",
+	settingsKeys: Object.values(LIVE_STATE_SETTINGS),
+	isActive: isLiveFilterActive,
+	check: checkLiveFilter,
+});
+
+registerFilter({
+	id: "watched",
+	label: "Watched",
+	settingsKeys: [
+		"watchedFilterEnabled",
+		"maxWatchedPercent",
+		"partiallyWatchedMode",
+	],
+	isActive: (settings) => Boolean(settings.watchedFilterEnabled),
+	check: checkWatchedFilter,
+});
+
+registerFilter({
+	id: "views",
+	label: "Views",
+	settingsKeys: [
+		"viewsFilterEnabled",
+		"minViews",
+		"viewsPerDayFilterEnabled",
+		"minViewsPerDay",
+		"viewsPerDayMode",
+	],
+	// "both" mode needs the publish time before a low count can be judged;
+	// Shorts never show one, so they are judged on the count alone.
+	requiredFields: (settings, videoData) =>
+		isViewsPerDayFilterActive(settings) &&
+		getViewsPerDayMode(settings) === "both" &&
+		!videoData?.isShort
+			? ["viewCount", "publishTime"]
+			: ["viewCount"],
+	isActive: isViewsFilterActive,
+	check: checkViewsFilter,
+});
+
+registerFilter({
+	id: "viewsPerDay",
+	label: "Views/day",
+	settingsKeys: [
+		"viewsPerDayFilterEnabled",
+		"minViewsPerDay",
+		"viewsPerDayMode",
+	],
+	requiredFields: ["viewCount", "publishTime"],
+	appliesToShorts: false,
+	// In "both" mode the views filter applies the velocity check itself,
+	// unless min views is off and there is nothing to combine it with.
+	isActive: (settings) =>
+		isViewsPerDayFilterActive(settings) &&
+		(getViewsPerDayMode(settings) !== "both" || !isViewsFilterActive(settings)),
+	check: checkViewsPerDayFilter,
+});
+
+registerFilter({
+	id: "duration",
+	label: "Duration",
+	settingsKeys: ["durationFilterEnabled", "minDuration", "maxDuration"],
+	requiredFields: ["duration"],
+	appliesToShorts: false,
+	isActive: (settings) =>
+		Boolean(
+			settings.durationFilterEnabled &&
+				(settings.minDuration || settings.maxDuration),
+		),
+	check: checkDurationFilter,
+});
+
+registerFilter({
+	id: "age",
+	label: "Age",
+	settingsKeys: [
+		"ageFilterEnabled",
+		"maxAgeYears",
+		"maxAge",
+		"maxAgeAmount",
+		"maxAgeUnit",
+		"minAgeAmount",
+		"minAgeUnit",
+	],
+	requiredFields: ["publishTime"],
+	appliesToShorts: false,
+	isActive: (settings) =>
+		Boolean(
+			settings.ageFilterEnabled &&
+				(getMaxAgeDays(settings) > 0 || getMinAgeDays(settings) > 0),
+		),
+	check: checkAgeFilter,
+});
+
+registerFilter({
+	id: "uploadDate",
+	label: "Upload date",
+	settingsKeys: ["uploadDateFilterEnabled", "uploadedAfter", "uploadedBefore"],
+	requiredFields: ["uploadDate"],
+	appliesToShorts: false,
+	isActive: isUploadDateFilterActive,
+	check: checkUploadDateFilter,
+});
+
+registerFilter({
+	id: "language",
+	label: "Language",
+	settingsKeys: [
+		"languageFilterEnabled",
+		"allowedLanguages",
+		"mixedLanguagePolicy",
+		"unknownLanguagePolicy",
+		"englishOnlyTitles",
+		"languageFilterMode",
+	],
+	requiredFields: ["title"],
+	isActive: isLanguageFilterActive,
+	check: checkLanguageFilter,
+});
+
+registerFilter({
+	id: "clickbait",
+	label: "Clickbait",
+	settingsKeys: ["clickbaitFilterEnabled", "clickbaitThreshold"],
+	requiredFields: ["title"],
+	isActive: (settings) =>
+		Boolean(settings.clickbaitFilterEnabled && settings.clickbaitThreshold > 0),
+	check: checkClickbaitFilter,
+});
+
+// Badges are never waited for: most cards simply have none.
+registerFilter({
+	id: "badges",
+	label: "Badges",
+	settingsKeys: ["badgeFilterEnabled", "hiddenBadges", "requiredBadges"],
+	isActive: isBadgeFilterActive,
+	check: checkBadgeFilter,
+});
+
+registerFilter({
+	id: "keywords",
+	label: "Keywords",
+	settingsKeys: ["keywordFilterEnabled", "keywords", "bannedKeywords"],
+	requiredFields: (settings) =>
+		getKeywordRequiredFields(
+			getBannedKeywords(settings).map(({ keyword }) => keyword),
+		),
+	isActive: (settings) =>
+		Boolean(
+			settings.keywordFilterEnabled && getBannedKeywords(settings).length > 0,
+		),
+	check: checkKeywordsFilter,
+});
+
+/**
+ * Returns the first registry result that keeps, dims or hides the video.
+ * The result's reason is always the id of the filter that produced it.
+ * @returns {{filterId: string, action: string, reason: string, details: string} | undefined}
+ */
+function getTriggeredFilter(videoData, settings) {
+	const ruleContext = buildRuleContext(videoData);
+
+	for (const filter of FILTER_REGISTRY) {
+		if (!isFilterApplicable(filter, videoData, settings)) {
+			continue;
+		}
+
+		const result = filter.check(videoData, settings, ruleContext);
+		if (result.shouldKeep) {
+			return {
+				...result,
+				filterId: filter.id,
+				reason: filter.id,
+				action: "keep",
+			};
+		}
+		if (result.shouldFilter) {
+			return {
+				...result,
+				filterId: filter.id,
+				reason: filter.id,
+				action: result.action || filter.action,
+			};
+		}
+	}
+
+	return undefined;
+}
+
+/**
+ * Whether a hide filter would fire if keep filters (allow keywords, kept
+ * subscriptions) didn't run first; only then did keeping the card matter.
+ * @returns {boolean}
+ */
+function wouldHideWithoutKeepFilters(videoData, settings) {
+	const ruleContext = buildRuleContext(videoData);
+
+	return FILTER_REGISTRY.some(
+		(filter) =>
+			filter.action !== "keep" &&
+			isFilterApplicable(filter, videoData, settings) &&
+			filter.check(videoData, settings, ruleContext).shouldFilter,
+	);
+}
+
+/**
+ * Returns how a hidden card is shown for a filter: removed, dimmed, blurred
+ * or collapsed to a strip with a reveal button.
+ * @returns {"remove" | "dim" | "blur" | "collapse"}
+ */
+function getDisplayMode(filterId, settings) {
+	const displayMode =
+		settings.displayModes?.[filterId] || settings.defaultDisplayMode;
+	return DISPLAY_MODES.includes(displayMode) ? displayMode : "remove";
+}
+
+function isRevealedVideoCard(videoElement) {
+	return videoElement.hasAttribute("data-filter-revealed");
+}
+
+/**
+ * Shows a soft-hidden card and its nested cards until the next reset.
+ * @param {HTMLElement} videoElement
+ */
+function revealVideoCard(videoElement) {
+	for (const card of [
+		videoElement,
+		...videoElement.querySelectorAll(VIDEO_CARD_SELECTOR),
+	]) {
+		card.setAttribute("data-filter-revealed", "true");
+		card.removeAttribute("data-filtered");
+		card.removeAttribute("data-filter-reason");
+		card.removeAttribute("data-filter-action");
+		showVideoCard(card);
+	}
+}
+
+function ensureCollapseStrip(videoElement, reason, details) {
+	removeCollapseStrip(videoElement);
+	if (isNestedVideoCard(videoElement)) {
+		return;
+	}
+
+	const label = getFilterDefinition(reason)?.label || reason;
+	const strip = document.createElement("div");
+	strip.className = COLLAPSE_STRIP_CLASS;
+	strip.title = details || "";
+
+	const text = document.createElement("span");
+	text.textContent = `Hidden: ${label.toLowerCase()} — `;
+	const button = document.createElement("button");
+	button.type = "button";
+	button.textContent = "show";
+	button.addEventListener("click", (event) => {
+		event.preventDefault();
+		event.stopPropagation();
+		revealVideoCard(videoElement);
+	});
+
+	strip.append(text, button);
+	videoElement.prepend(strip);
+}
+
+function removeCollapseStrip(videoElement) {
+	videoElement.querySelector(`:scope > .${COLLAPSE_STRIP_CLASS}`)?.remove();
+}
+
+function clearVideoCardDisplay(videoElement) {
+	removeSpoilerShield(videoElement);
+	videoElement.removeAttribute("data-filter-display");
+	videoElement.removeAttribute("data-filter-preview");
+	removeCollapseStrip(videoElement);
+	videoElement.querySelector(`:scope > .${PREVIEW_BADGE_CLASS}`)?.remove();
+}
+
+/**
+ * Preview mode: keeps the card visible and labels it with the filter that
+ * would have hidden it.
+ * @param {HTMLElement} videoElement
+ * @param {{filterId: string, action: string, details: string}} triggeredFilter
+ */
+function previewVideoCard(videoElement, triggeredFilter) {
+	showVideoCard(videoElement);
+	videoElement.setAttribute("data-filter-preview", triggeredFilter.filterId);
+	if (isNestedVideoCard(videoElement) || isPlayerVideoCard(videoElement)) {
+		return;
+	}
+
+	const label =
+		getFilterDefinition(triggeredFilter.filterId)?.label ||
+		triggeredFilter.filterId;
+	const badge = document.createElement("div");
+	badge.className = PREVIEW_BADGE_CLASS;
+	const previewVerbs = { dim: "Would dim", spoiler: "Would shield" };
+	badge.textContent = `${previewVerbs[triggeredFilter.action] || "Would hide"} · ${label}: ${triggeredFilter.details}`;
+	badge.title = badge.textContent;
+	videoElement.appendChild(badge);
+}
+
+/**
+ * Counts the cards and shelves on this page that preview mode labeled, per
+ * filter (shelves per stat tile).
+ * @returns {Object<string, number>}
+ */
+function getPreviewCounts() {
+	const counts = createFilterStats();
+	for (const videoElement of document.querySelectorAll(
+		"[data-filter-preview]",
+	)) {
+		if (isNestedVideoCard(videoElement)) {
+			continue;
+		}
+
+		const filterId = videoElement.getAttribute("data-filter-preview");
+		counts[filterId] = (counts[filterId] || 0) + 1;
+		counts.total++;
+	}
+
+	for (const container of document.querySelectorAll(
+		"[data-filter-preview-shelf]",
+	)) {
+		const shelfId = container.getAttribute("data-filter-preview-shelf");
+		const statKey =
+			SHELF_TYPES.find((shelfType) => shelfType.id === shelfId)?.statKey ||
+			"shelves";
+		counts[statKey] = (counts[statKey] || 0) + 1;
+		counts.total++;
+	}
+
+	return counts;
+}
+
+function showVideoCard(videoElement) {
+	videoElement.style.display = "";
+	videoElement.style.opacity = "";
+	videoElement.style.pointerEvents = "";
+	clearVideoCardDisplay(videoElement);
+}
+
+function dimVideoCard(videoElement, reason) {
+	clearVideoCardDisplay(videoElement);
+	videoElement.style.display = "";
+	videoElement.style.opacity = "0.35";
+	videoElement.style.pointerEvents = "";
+	videoElement.setAttribute("data-filtered", "true");
+	videoElement.setAttribute("data-filter-action", "dim");
+	videoElement.setAttribute("data-filter-reason", reason);
+}
+
+/**
+ * Hides a card using the display mode configured for its filter.
+ * @param {HTMLElement} videoElement
+ * @param {string} reason - Filter id
+ * @param {"remove" | "dim" | "blur" | "collapse"} [displayMode="remove"]
+ * @param {string} [details] - Shown as the collapse strip tooltip
+ */
+function hideVideoCard(videoElement, reason, displayMode = "remove", details) {
+	// End-screen tiles have no room for a collapse strip.
+	const mode =
+		displayMode === "collapse" && isPlayerVideoCard(videoElement)
+			? "remove"
+			: displayMode;
+
+	clearVideoCardDisplay(videoElement);
+	videoElement.style.display = mode === "remove" ? "none" : "";
+	videoElement.style.opacity = mode === "dim" ? "0.35" : "";
+	videoElement.style.pointerEvents = "";
+	videoElement.setAttribute("data-filtered", "true");
+	videoElement.setAttribute("data-filter-action", "hide");
+	videoElement.setAttribute("data-filter-reason", reason);
+
+	if (mode !== "remove") {
+		videoElement.setAttribute("data-filter-display", mode);
+	}
+	if (mode === "collapse") {
+		ensureCollapseStrip(videoElement, reason, details);
+	}
+}
+
+function getActiveShelfTypes(settings) {
+	return SHELF_TYPES.filter((shelfType) =>
+		shelfType.isActive
+			? shelfType.isActive(settings)
+			: Boolean(settings[shelfType.settingKey]),
+	);
+}
+
+/**
+ * Home page shelves and ad slots sit inside a rich section or item; hide that
+ * wrapper so no empty grid cell is left behind.
+ */
+function getShelfContainer(element) {
+	return (
+		element.closest("ytd-rich-section-renderer, ytd-rich-item-renderer") ||
+		element
+	);
+}
+
+function getShelfTitle(shelf) {
+	return normalizeText(
+		getFirstMatchingElement(shelf, SHELF_TITLE_SELECTORS)?.textContent,
+	);
+}
+
+/**
+ * Preview mode: keeps the shelf visible and labels it instead.
+ * @param {HTMLElement} container
+ * @param {HTMLElement} element Matched shelf, for its title
+ */
+function previewShelf(container, element, shelfType) {
+	container.setAttribute("data-filter-preview-shelf", shelfType.id);
+	const label = shelfType.statKey === "shorts" ? "Shorts" : "Sections";
+	const badge = document.createElement("div");
+	badge.className = SHELF_PREVIEW_BADGE_CLASS;
+	badge.textContent = `Would hide · ${label}: ${getShelfTitle(element) || shelfType.id}`;
+	badge.title = badge.textContent;
+	container.appendChild(badge);
+}
+
+function hideShelf(element, shelfType, previewMode = false) {
+	const container = getShelfContainer(element);
+	if (
+		container.hasAttribute("data-filtered-shelf") ||
+		container.hasAttribute("data-filter-preview-shelf")
+	) {
+		return false;
+	}
+
+	if (previewMode) {
+		previewShelf(container, element, shelfType);
+	} else {
+		container.setAttribute("data-filtered-shelf", shelfType.id);
+	}
+	return true;
+}
+
+/**
+ * Hides the shelves, sections and ad slots whose type is switched on, or
+ * only labels them in preview mode.
+ * @returns {Object<string, number>} Hidden (or labeled) count per stat key
+ */
+function hideShelves(settings, previewMode = false) {
+	const activeShelfTypes = getActiveShelfTypes(settings);
+	const hiddenCounts = {};
+	const countHidden = (shelfType) => {
+		const statKey = shelfType.statKey || "shelves";
+		hiddenCounts[statKey] = (hiddenCounts[statKey] || 0) + 1;
+	};
 
-	return Boolean(
-		(settings.viewsFilterEnabled &&
-			settings.minViews > 0 &&
-			!videoData.viewCount) ||
-			(settings.durationFilterEnabled &&
-				(settings.minDuration || settings.maxDuration) &&
-				!videoData.duration) ||
-			(settings.ageFilterEnabled &&
-				maxAgeYears > 0 &&
-				!videoData.publishTime) ||
-			(settings.keywordFilterEnabled &&
-				bannedKeywords.length > 0 &&
-				!videoData.title) ||
-			(isEnglishOnlyEnabled(settings) && !videoData.title),
+	for (const shelfType of activeShelfTypes) {
+		if (!shelfType.selector) {
+			continue;
+		}
+
+		for (const element of document.querySelectorAll(shelfType.selector)) {
+			if (hideShelf(element, shelfType, previewMode)) {
+				countHidden(shelfType);
+			}
+		}
+	}
+
+	const titledShelfTypes = activeShelfTypes.filter(
+		(shelfType) => shelfType.titlePattern,
 	);
-}
+	if (titledShelfTypes.length === 0) {
+		return hiddenCounts;
+	}
 
-function getTriggeredFilter(videoData, settings) {
-	return [
-		checkViewsFilter(videoData, settings),
-		checkDurationFilter(videoData, settings),
-		checkAgeFilter(videoData, settings),
-		checkLanguageFilter(videoData, settings),
-		checkKeywordsFilter(videoData, settings),
-	].find((filterResult) => filterResult.shouldFilter);
-}
+	for (const shelf of document.querySelectorAll(SHELF_SELECTOR)) {
+		const title = getShelfTitle(shelf);
+		const shelfType =
+			title &&
+			titledShelfTypes.find((candidate) => candidate.titlePattern.test(title));
+		if (shelfType && hideShelf(shelf, shelfType, previewMode)) {
+			countHidden(shelfType);
+		}
+	}
 
-function showVideoCard(videoElement) {
-	videoElement.style.display = "";
-	videoElement.style.opacity = "";
-	videoElement.style.pointerEvents = "";
+	return hiddenCounts;
 }
 
-function hideVideoCard(videoElement, reason) {
-	videoElement.style.display = "none";
-	videoElement.style.opacity = "";
-	videoElement.style.pointerEvents = "";
-	videoElement.setAttribute("data-filtered", "true");
-	videoElement.setAttribute("data-filter-reason", reason);
+function restoreShelves(root = document) {
+	const shelves = root.querySelectorAll?.("[data-filtered-shelf]") || [];
+	for (const container of shelves) {
+		container.removeAttribute("data-filtered-shelf");
+	}
+
+	const previewedShelves =
+		root.querySelectorAll?.("[data-filter-preview-shelf]") || [];
+	for (const container of previewedShelves) {
+		container.removeAttribute("data-filter-preview-shelf");
+		container.querySelector(`:scope > .${SHELF_PREVIEW_BADGE_CLASS}`)?.remove();
+	}
 }
 
 function updateFilterStats(currentStats) {
-	filterStats.views += currentStats.views;
-	filterStats.keywords += currentStats.keywords;
-	filterStats.duration += currentStats.duration;
-	filterStats.age += currentStats.age;
-	filterStats.language += currentStats.language;
-	filterStats.total += currentStats.total;
+	for (const [statKey, count] of Object.entries(currentStats)) {
+		filterStats[statKey] = (filterStats[statKey] || 0) + count;
+	}
 
 	chrome.storage.local.set({ filterStats });
 }
@@ -775,15 +2176,11 @@ function updateFilterStats(currentStats) {
 
 // Global state
 let filterSettings = DEFAULT_SETTINGS;
-const filterStats = {
-	views: 0,
-	keywords: 0,
-	duration: 0,
-	age: 0,
-	language: 0,
-	total: 0,
-};
-let subscribedChannels = createEmptySubscriptionLookup();
+const filterStats = createFilterStats();
+let subscribedChannels = createEmptyChannelLookup();
+let blockedChannels = createEmptyChannelLookup();
+// Kept in local storage: long lists outgrow the sync quota per item.
+let keywordGroups = [];
 let metadataRetryTimeout = null;
 let settlingRescanTimeouts = [];
 
@@ -814,7 +2211,107 @@ function scheduleSettlingRescans(reason) {
 }
 
 function reloadSubscriptions(channels) {
-	subscribedChannels = buildSubscriptionLookup(channels || []);
+	subscribedChannels = buildChannelLookup(channels || []);
+}
+
+function reloadBlockedChannels(channels) {
+	blockedChannels = buildChannelLookup(channels || []);
+}
+
+function reloadKeywordGroups(groups) {
+	keywordGroups = Array.isArray(groups) ? groups : [];
+}
+
+/**
+ * Builds the record stored in the blocklist for a card's channel.
+ * @returns {{name: string | null, channelId: string | null, channelPath: string | null} | null}
+ */
+function buildBlockedChannelRecord(videoData) {
+	if (!hasChannelInfo(videoData)) {
+		return null;
+	}
+
+	return {
+		name: normalizeText(videoData.channelName),
+		channelId: getNormalizedChannelId(videoData),
+		channelPath: normalizeChannelPath(videoData.channelPath),
+	};
+}
+
+function blockChannelFromCard(videoElement) {
+	const record = buildBlockedChannelRecord(extractVideoData(videoElement));
+	if (!record) {
+		console.warn("[Filter] Could not resolve channel for block action");
+		return;
+	}
+
+	chrome.storage.sync.get({ blockedChannels: [] }, (result) => {
+		const storedChannels = result.blockedChannels || [];
+		// Records store the display name as `name`; lookups read `channelName`.
+		const recordChannel = {
+			channelId: record.channelId,
+			channelPath: record.channelPath,
+			channelName: record.name,
+		};
+		if (isChannelInLookup(recordChannel, buildChannelLookup(storedChannels))) {
+			return;
+		}
+
+		chrome.storage.sync.set({
+			blockedChannels: [...storedChannels, record],
+		});
+		console.log(
+			`[Filter] Blocked channel "${record.name || record.channelPath || record.channelId}"`,
+		);
+	});
+}
+
+function isNestedVideoCard(videoElement) {
+	return Boolean(videoElement.parentElement?.closest(VIDEO_CARD_SELECTOR));
+}
+
+/**
+ * End screens and end cards are absolutely positioned inside the player, so
+ * they get no injected buttons or strips.
+ */
+function isPlayerVideoCard(videoElement) {
+	return Boolean(videoElement.matches?.(PLAYER_VIDEO_CARD_SELECTOR));
+}
+
+/**
+ * Injects the one-click "block this channel" action into an outer video card.
+ * @param {HTMLElement} videoElement
+ */
+function ensureBlockChannelButton(videoElement) {
+	if (
+		isNestedVideoCard(videoElement) ||
+		isPlayerVideoCard(videoElement) ||
+		isShortsVideoElement(videoElement) ||
+		videoElement.querySelector(`:scope > .${BLOCK_CHANNEL_BUTTON_CLASS}`)
+	) {
+		return;
+	}
+
+	const button = document.createElement("button");
+	button.type = "button";
+	button.className = BLOCK_CHANNEL_BUTTON_CLASS;
+	button.title = "Block this channel";
+	button.textContent = "⊘";
+	button.addEventListener("click", (event) => {
+		event.preventDefault();
+		event.stopPropagation();
+		blockChannelFromCard(videoElement);
+	});
+
+	videoElement.setAttribute("data-filter-block-host", "true");
+	videoElement.appendChild(button);
+}
+
+function removeBlockChannelButton(videoElement) {
+	videoElement
+		.querySelector(`:scope > .${BLOCK_CHANNEL_BUTTON_CLASS}`)
+		?.remove();
+	videoElement.removeAttribute("data-filter-block-host");
 }
 
 function applySubscribedChannelState(videoElement, isSubscribed) {
@@ -825,6 +2322,15 @@ function applySubscribedChannelState(videoElement, isSubscribed) {
 	}
 }
 
+function applyAllowKeywordState(videoElement, allowMatch) {
+	if (allowMatch) {
+		videoElement.dataset.allowKeyword = allowMatch.text;
+		return;
+	}
+
+	delete videoElement.dataset.allowKeyword;
+}
+
 function applyTitleLanguageState(videoElement, titleLanguage) {
 	if (titleLanguage && titleLanguage !== "unknown") {
 		videoElement.dataset.titleLanguage = titleLanguage;
@@ -837,12 +2343,16 @@ function applyTitleLanguageState(videoElement, titleLanguage) {
 /**
  * Stores filtered video information for history tracking
  */
-function storeFilteredVideo(title, reason) {
+function storeFilteredVideo(title, triggeredFilter) {
 	chrome.storage.local.get(["filteredVideos"], (result) => {
 		const videos = result.filteredVideos || [];
 		videos.push({
 			title,
-			reason,
+			filterId: triggeredFilter.filterId,
+			label:
+				getFilterDefinition(triggeredFilter.filterId)?.label ||
+				triggeredFilter.filterId,
+			reason: triggeredFilter.details,
 			timestamp: new Date().toISOString(),
 		});
 		if (videos.length > 100) {
@@ -869,20 +2379,36 @@ function runAllFilters(forceFullScan = false) {
 		return;
 	}
 
+	if (filterSettings.channelBlockFilterEnabled) {
+		for (const videoElement of document.querySelectorAll(VIDEO_CARD_SELECTOR)) {
+			ensureBlockChannelButton(videoElement);
+		}
+	}
+
+	// Preview labels shelves instead; getPreviewCounts() counts them.
+	const hiddenShelfCounts = hideShelves(
+		filterSettings,
+		filterSettings.previewMode,
+	);
+	const hiddenShelfCount = Object.values(hiddenShelfCounts).reduce(
+		(sum, count) => sum + count,
+		0,
+	);
+	if (hiddenShelfCount > 0 && !filterSettings.previewMode) {
+		updateFilterStats({ total: hiddenShelfCount, ...hiddenShelfCounts });
+		console.log(
+			`[Filter] ✓ shelves: Hidden ${hiddenShelfCount} shelf(s)`,
+			hiddenShelfCounts,
+		);
+	}
+
 	if (!hasActiveHideFilters(filterSettings)) {
 		console.log("[Filter] All filters disabled, skipping");
 		return;
 	}
 
 	// Reset current run stats
-	const currentStats = {
-		views: 0,
-		keywords: 0,
-		duration: 0,
-		age: 0,
-		language: 0,
-		total: 0,
-	};
+	const currentStats = createFilterStats();
 	let newFilters = false;
 	let incompleteCards = 0;
 
@@ -903,6 +2429,8 @@ function runAllFilters(forceFullScan = false) {
 
 	targetCards.forEach((videoElement) => {
 		const wasFiltered = videoElement.hasAttribute("data-filtered");
+		// Read the real title, not the spoiler mask.
+		removeSpoilerShield(videoElement);
 
 		const videoData = extractVideoData(videoElement);
 		const title = videoData.title || "Unknown title";
@@ -911,8 +2439,6 @@ function runAllFilters(forceFullScan = false) {
 		applyTitleLanguageState(videoElement, videoData.titleLanguage);
 
 		const triggeredFilter = getTriggeredFilter(videoData, filterSettings);
-		const shouldPreserveSubscribedVideo =
-			isSubscribed && filterSettings.preserveSubscribedChannels;
 		const retryCount = Number(videoElement.dataset.filterRetryCount || 0);
 		const shouldRetryForMetadata =
 			!triggeredFilter &&
@@ -927,18 +2453,66 @@ function runAllFilters(forceFullScan = false) {
 		}
 
 		delete videoElement.dataset.filterRetryCount;
+		applyAllowKeywordState(videoElement, triggeredFilter?.allowKeyword);
+
+		// Counted once per video, and only when the card would have been hidden;
+		// the marker survives rescans but not YouTube reusing the card.
+		const keepCountKey = `${triggeredFilter?.filterId}:${videoData.videoId || title}`;
+		if (
+			triggeredFilter?.action === "keep" &&
+			triggeredFilter.filterId in currentStats &&
+			videoElement.dataset.filterKeepCounted !== keepCountKey &&
+			wouldHideWithoutKeepFilters(videoData, filterSettings)
+		) {
+			videoElement.dataset.filterKeepCounted = keepCountKey;
+			currentStats[triggeredFilter.filterId]++;
+			newFilters = true;
+			console.log(`[Filter] Preserved "${title}" - ${triggeredFilter.details}`);
+		}
 
-		if (triggeredFilter && !shouldPreserveSubscribedVideo) {
-			hideVideoCard(videoElement, triggeredFilter.reason);
+		if (
+			triggeredFilter &&
+			triggeredFilter.action !== "keep" &&
+			!isRevealedVideoCard(videoElement)
+		) {
+			if (filterSettings.previewMode) {
+				previewVideoCard(videoElement, triggeredFilter);
+				markVideoCardProcessed(videoElement);
+				console.log(
+					`[Filter] Preview ${triggeredFilter.reason}: "${title}" - ${triggeredFilter.details}`,
+				);
+				return;
+			}
+
+			if (triggeredFilter.action === "dim") {
+				dimVideoCard(videoElement, triggeredFilter.reason);
+			} else if (triggeredFilter.action === "spoiler") {
+				shieldVideoCard(
+					videoElement,
+					triggeredFilter.reason,
+					triggeredFilter.spoilerTerm,
+				);
+			} else {
+				hideVideoCard(
+					videoElement,
+					triggeredFilter.reason,
+					getDisplayMode(triggeredFilter.filterId, filterSettings),
+					triggeredFilter.details,
+				);
+			}
 			markVideoCardProcessed(videoElement);
 
-			currentStats[triggeredFilter.reason]++;
+			currentStats[triggeredFilter.filterId]++;
 			currentStats.total++;
+			// Shorts hidden by any other filter also count toward the Shorts tile.
+			if (videoData.isShort && triggeredFilter.filterId !== "shorts") {
+				currentStats.shorts++;
+			}
 			newFilters = true;
 
-			storeFilteredVideo(title, triggeredFilter.details);
+			storeFilteredVideo(title, triggeredFilter);
 			console.log(
-				`[Filter] ✓ ${triggeredFilter.reason}: Hidden "${title}" - ${triggeredFilter.details}`,
+				`[Filter] ✓ ${triggeredFilter.reason}: ${FILTER_ACTION_VERBS[triggeredFilter.action] || "Hidden"} "${title}" - ${triggeredFilter.details}`,
 			);
 			if (wasFiltered) {
 				alreadyFilteredCount++;
@@ -949,6 +2523,7 @@ function runAllFilters(forceFullScan = false) {
 		if (wasFiltered) {
 			videoElement.removeAttribute("data-filtered");
 			videoElement.removeAttribute("data-filter-reason");
+			videoElement.removeAttribute("data-filter-action");
 		}
 
 		showVideoCard(videoElement);
@@ -978,6 +2553,282 @@ function runAllFilters(forceFullScan = false) {
 	}
 }
 
+// Autoplay guard: when the watched video ends, check the "Up next" target and
+// skip to the next allowed recommendation or cancel the countdown.
+
+function getAutoplayGuardMode(settings) {
+	return AUTOPLAY_GUARD_MODES.includes(settings.autoplayGuardMode)
+		? settings.autoplayGuardMode
+		: "off";
+}
+
+function showFilterToast(message) {
+	document.querySelector(`.${TOAST_CLASS}`)?.remove();
+
+	const toast = document.createElement("div");
+	toast.className = TOAST_CLASS;
+	toast.setAttribute("role", "status");
+	toast.textContent = message;
+	document.body.appendChild(toast);
+	setTimeout(() => toast.remove(), TOAST_DURATION_MS);
+}
+
+/**
+ * Whether YouTube is counting down to the next video. The overlay stays in
+ * the player, hidden, when autoplay is off.
+ */
+function isUpNextCountdownVisible() {
+	const overlay = document.querySelector(UP_NEXT_OVERLAY_SELECTOR);
+	return Boolean(
+		overlay?.isConnected &&
+			!overlay.hidden &&
+			getComputedStyle(overlay).display !== "none",
+	);
+}
+
+function getUpNextVideoId() {
+	for (const selector of UP_NEXT_LINK_SELECTORS) {
+		const videoId = window.YouTubeDataExtractor?.getVideoIdFromElement(
+			document.querySelector(selector),
+		);
+		if (videoId) {
+			return videoId;
+		}
+	}
+
+	return null;
+}
+
+function getRelatedVideoCards() {
+	return Array.from(
+		document.querySelectorAll(RELATED_VIDEO_CARD_SELECTOR),
+	).filter((videoElement) => !isNestedVideoCard(videoElement));
+}
+
+/**
+ * Returns the hide filter the video fails, ignoring cards the user revealed.
+ * @returns {Object | null} Triggered filter
+ */
+function getAutoplayBlockingFilter(videoData, videoElement) {
+	if (videoElement && isRevealedVideoCard(videoElement)) {
+		return null;
+	}
+
+	const triggeredFilter = getTriggeredFilter(videoData, filterSettings);
+	return triggeredFilter?.action === "hide" ? triggeredFilter : null;
+}
+
+/**
+ * Reads the "Up next" video from its sidebar card, or from the countdown
+ * overlay when the card isn't rendered.
+ * @returns {{videoData: Object, videoElement: HTMLElement | null} | null}
+ */
+function getUpNextVideoData(videoId) {
+	const videoElement = getRelatedVideoCards().find(
+		(card) =>
+			window.YouTubeDataExtractor?.getVideoIdFromElement(card) === videoId,
+	);
+	if (videoElement) {
+		return { videoData: extractVideoData(videoElement), videoElement };
+	}
+
+	const overlay = document.querySelector(UP_NEXT_OVERLAY_SELECTOR);
+	if (!overlay) {
+		return null;
+	}
+
+	const videoData = extractVideoData(overlay);
+	videoData.videoId = videoId;
+	videoData.title =
+		normalizeText(
+			document.querySelector(UP_NEXT_TITLE_SELECTOR)?.textContent,
+		) || videoData.title;
+	videoData.channelName =
+		normalizeText(
+			document.querySelector(UP_NEXT_CHANNEL_SELECTOR)?.textContent,
+		) || videoData.channelName;
+	return { videoData, videoElement: null };
+}
+
+function findNextAllowedVideoCard(excludedVideoIds) {
+	return getRelatedVideoCards().find((videoElement) => {
+		const videoData = extractVideoData(videoElement);
+		return (
+			videoData.videoId &&
+			!videoData.isShort &&
+			!excludedVideoIds.includes(videoData.videoId) &&
+			!getAutoplayBlockingFilter(videoData, videoElement)
+		);
+	});
+}
+
+function cancelAutoplayCountdown() {
+	const cancelButton = document.querySelector(AUTOPLAY_CANCEL_BUTTON_SELECTOR);
+	cancelButton?.click();
+	return Boolean(cancelButton);
+}
+
+function guardAutoplay() {
+	const mode = getAutoplayGuardMode(filterSettings);
+	const params = new URLSearchParams(location.search);
+	// Playlists play in the order the user picked.
+	if (
+		mode === "off" ||
+		filterSettings.previewMode ||
+		getPageType() !== "watch" ||
+		params.has("list") ||
+		!isUpNextCountdownVisible()
+	) {
+		return;
+	}
+
+	const upNextVideoId = getUpNextVideoId();
+	if (!upNextVideoId) {
+		return;
+	}
+
+	const upNext = getUpNextVideoData(upNextVideoId);
+	if (!upNext) {
+		return;
+	}
+
+	const { videoData, videoElement } = upNext;
+	const blockingFilter = getAutoplayBlockingFilter(videoData, videoElement);
+	if (!blockingFilter) {
+		return;
+	}
+
+	const label =
+		getFilterDefinition(blockingFilter.filterId)?.label ||
+		blockingFilter.filterId;
+	const blockedText = `"${videoData.title || "Up next"}" (${label}: ${blockingFilter.details})`;
+	const nextVideoCard =
+		mode === "skip"
+			? findNextAllowedVideoCard([upNextVideoId, params.get("v")])
+			: null;
+	cancelAutoplayCountdown();
+
+	if (nextVideoCard) {
+		const nextTitle = extractVideoData(nextVideoCard).title;
+		nextVideoCard.querySelector("a#thumbnail, a[href*='/watch']")?.click();
+		showFilterToast(`Autoplay skipped ${blockedText} — playing "${nextTitle}"`);
+		console.log(`[Filter] Autoplay skipped ${blockedText}`);
+		return;
+	}
+
+	showFilterToast(`Autoplay stopped: ${blockedText}`);
+	console.log(`[Filter] Autoplay stopped: ${blockedText}`);
+}
+
+function handleMediaEnded(event) {
+	if (!event.target?.closest?.(".html5-video-player")) {
+		return;
+	}
+
+	// The countdown overlay renders just after the video ends.
+	setTimeout(guardAutoplay, AUTOPLAY_GUARD_DELAY_MS);
+}
+
+// Spoiler shield: the card stays in place with a blurred thumbnail and a
+// masked title until clicked. Originals are kept per card so a reveal, reset
+// or removed keyword puts back exactly what YouTube rendered.
+
+/**
+ * @type {WeakMap<HTMLElement, {titleElement: HTMLElement, maskedTitle: string, childNodes: Node[], attributes: Array<[HTMLElement, string, string]>}>}
+ */
+const spoilerShieldOriginals = new WeakMap();
+
+/**
+ * Blurs a card's thumbnail and replaces its title with
+ * "Possible spoiler: <term>".
+ * @param {HTMLElement} videoElement
+ * @param {string} reason - Filter id
+ * @param {string} term - The keyword that matched
+ */
+function shieldVideoCard(videoElement, reason, term) {
+	clearVideoCardDisplay(videoElement);
+	videoElement.style.display = "";
+	videoElement.style.opacity = "";
+	videoElement.style.pointerEvents = "";
+	videoElement.setAttribute("data-filtered", "true");
+	videoElement.setAttribute("data-filter-action", "spoiler");
+	videoElement.setAttribute("data-filter-reason", reason);
+	videoElement.setAttribute("data-filter-display", "spoiler");
+
+	// The outer card owns the shared title of nested cards.
+	if (isNestedVideoCard(videoElement)) {
+		return;
+	}
+
+	const titleElement = getFirstMatchingElement(
+		videoElement,
+		SPOILER_TITLE_SELECTORS,
+	);
+	if (!titleElement) {
+		return;
+	}
+
+	const maskedTitle = `Possible spoiler: ${term}`;
+	const attributes = [];
+	for (const element of new Set([titleElement, titleElement.closest("a")])) {
+		for (const name of SPOILER_TITLE_ATTRIBUTES) {
+			if (element?.hasAttribute(name)) {
+				attributes.push([element, name, element.getAttribute(name)]);
+				element.setAttribute(name, maskedTitle);
+			}
+		}
+	}
+
+	spoilerShieldOriginals.set(videoElement, {
+		titleElement,
+		maskedTitle,
+		childNodes: Array.from(titleElement.childNodes),
+		attributes,
+	});
+	titleElement.textContent = maskedTitle;
+}
+
+function removeSpoilerShield(videoElement) {
+	const original = spoilerShieldOriginals.get(videoElement);
+	if (!original) {
+		return;
+	}
+
+	spoilerShieldOriginals.delete(videoElement);
+	// YouTube reuses cards for other videos; once it has rewritten the title,
+	// the saved one belongs to the previous video.
+	const { titleElement, maskedTitle } = original;
+	if (
+		videoElement.contains(titleElement) &&
+		titleElement.textContent === maskedTitle
+	) {
+		titleElement.replaceChildren(...original.childNodes);
+	}
+	for (const [element, name, value] of original.attributes) {
+		if (element.getAttribute(name) === maskedTitle) {
+			element.setAttribute(name, value);
+		}
+	}
+}
+
+/**
+ * The first click on a shielded card reveals it instead of opening the video.
+ */
+function handleSpoilerShieldClick(event) {
+	let videoElement = event.target.closest?.(SPOILER_SHIELD_SELECTOR);
+	if (!videoElement || event.target.closest(EXTENSION_CONTROL_SELECTOR)) {
+		return;
+	}
+
+	while (videoElement.parentElement?.closest(SPOILER_SHIELD_SELECTOR)) {
+		videoElement = videoElement.parentElement.closest(SPOILER_SHIELD_SELECTOR);
+	}
+
+	event.preventDefault();
+	event.stopPropagation();
+	revealVideoCard(videoElement);
+}
+
 // ============================================================================
 // SECTION 5: INITIALIZATION & EVENT HANDLERS
 // Setup, observers, and event listeners
@@ -989,84 +2840,116 @@ function runAllFilters(forceFullScan = false) {
 function init() {
 	console.log("[Filter] Initializing filter extension...");
 
+	publishFilterRegistry();
+
 	// Load settings and start filtering
 	chrome.storage.sync.get(DEFAULT_SETTINGS, (settings) => {
 		filterSettings = settings;
-		chrome.storage.local.get(["youtube_subscriptions"], (localData) => {
-			reloadSubscriptions(localData.youtube_subscriptions?.channels);
-			console.log("[Filter] Settings loaded:", filterSettings);
+		reloadBlockedChannels(settings.blockedChannels);
+		chrome.storage.local.get(
+			["youtube_subscriptions", "keywordGroups"],
+			(localData) => {
+				reloadSubscriptions(localData.youtube_subscriptions?.channels);
+				reloadKeywordGroups(localData.keywordGroups);
+				console.log("[Filter] Settings loaded:", filterSettings);
 
-			resetProcessedVideoCards();
+				resetProcessedVideoCards();
 
-			if (shouldSkipFilteringForPage()) {
-				console.log(
-					`[Filter] Initial page is ${getFilteringSkipReason()} - observers enabled, filtering disabled`,
-				);
-			} else {
-				// Run initial filter
-				setTimeout(() => runAllFilters(true), 1000); // Give YouTube time to render
-				scheduleSettlingRescans("initial load");
-			}
+				if (shouldSkipFilteringForPage()) {
+					console.log(
+						`[Filter] Initial page is ${getFilteringSkipReason()} - observers enabled, filtering disabled`,
+					);
+				} else {
+					// Run initial filter
+					setTimeout(() => runAllFilters(true), 1000); // Give YouTube time to render
+					scheduleSettlingRescans("initial load");
+				}
 
-			// Set up MutationObserver for dynamically loaded content
-			let filterTimeout = null;
-			const observer = new MutationObserver((mutations) => {
-				const hasNewContent = mutations.some((mutation) => {
-					if (mutation.type === "characterData") {
-						const videoCard = getContainingVideoCard(mutation.target);
-						if (videoCard) {
-							queueVideoCardForReprocessing(videoCard);
-							return true;
-						}
+				// Set up MutationObserver for dynamically loaded content
+				let filterTimeout = null;
+				const observer = new MutationObserver((mutations) => {
+					const hasNewContent = mutations.some((mutation) => {
+						// End-screen tiles are reused for the next video by swapping
+						// their text and link.
+						if (
+							mutation.type === "characterData" ||
+							mutation.type === "attributes"
+						) {
+							const videoCard = getContainingVideoCard(mutation.target);
+							if (videoCard) {
+								queueVideoCardForReprocessing(videoCard);
+								return true;
+							}
 
-						return false;
-					}
+							return false;
+						}
 
-					Array.from(mutation.addedNodes).forEach((node) => {
-						if (node.nodeType === Node.ELEMENT_NODE) {
-							if (node.matches?.(VIDEO_CARD_SELECTOR)) {
-								queueVideoCardForReprocessing(node);
-								return;
+						Array.from(mutation.addedNodes).forEach((node) => {
+							if (node.nodeType === Node.ELEMENT_NODE) {
+								if (node.matches?.(VIDEO_CARD_SELECTOR)) {
+									queueVideoCardForReprocessing(node);
+									return;
+								}
+
+								node
+									.querySelectorAll?.(VIDEO_CARD_SELECTOR)
+									.forEach((videoCard) => {
+										queueVideoCardForReprocessing(videoCard);
+									});
 							}
+						});
 
-							node
-								.querySelectorAll?.(VIDEO_CARD_SELECTOR)
-								.forEach((videoCard) => {
-									queueVideoCardForReprocessing(videoCard);
-								});
-						}
+						return Array.from(mutation.addedNodes).some(
+							(node) =>
+								VIDEO_CARD_NODE_NAMES.has(node.nodeName) ||
+								node.querySelector?.(VIDEO_CARD_SELECTOR),
+						);
 					});
 
-					return Array.from(mutation.addedNodes).some(
-						(node) =>
-							VIDEO_CARD_NODE_NAMES.has(node.nodeName) ||
-							node.querySelector?.(VIDEO_CARD_SELECTOR),
-					);
+					if (hasNewContent) {
+						// Debounce: clear existing timeout and set new one
+						clearTimeout(filterTimeout);
+						filterTimeout = setTimeout(() => {
+							console.log(
+								"[Filter] New videos detected, re-running filters...",
+							);
+							runAllFilters();
+							scheduleSettlingRescans("content update");
+						}, 800); // Batch multiple additions
+					}
 				});
 
-				if (hasNewContent) {
-					// Debounce: clear existing timeout and set new one
-					clearTimeout(filterTimeout);
-					filterTimeout = setTimeout(() => {
-						console.log("[Filter] New videos detected, re-running filters...");
-						runAllFilters();
-						scheduleSettlingRescans("content update");
-					}, 800); // Batch multiple additions
+				const contentRoot = document.querySelector("ytd-app") || document.body;
+				if (contentRoot) {
+					observer.observe(contentRoot, {
+						childList: true,
+						subtree: true,
+						characterData: true,
+						attributes: true,
+						attributeFilter: ["href"],
+					});
+					console.log("[Filter] Observer started");
+				} else {
+					console.log("[Filter] Warning: Could not find content root");
 				}
-			});
-
-			const contentRoot = document.querySelector("ytd-app") || document.body;
-			if (contentRoot) {
-				observer.observe(contentRoot, {
-					childList: true,
-					subtree: true,
-					characterData: true,
-				});
-				console.log("[Filter] Observer started");
-			} else {
-				console.log("[Filter] Warning: Could not find content root");
-			}
+			},
+		);
+	});
+
+	// Media events don't bubble, so listen in the capture phase.
+	document.addEventListener("ended", handleMediaEnded, true);
+	document.addEventListener("click", handleSpoilerShieldClick, true);
+
+	chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
+		if (request.action !== GET_PREVIEW_COUNTS_ACTION) {
+			return undefined;
+		}
+
+		sendResponse({
+			previewMode: Boolean(filterSettings.previewMode),
+			counts: getPreviewCounts(),
 		});
+		return undefined;
 	});
 
 	chrome.storage.onChanged.addListener((changes, areaName) => {
@@ -1079,17 +2962,33 @@ function init() {
 			return;
 		}
 
+		if (areaName === "local" && changes.keywordGroups) {
+			reloadKeywordGroups(changes.keywordGroups.newValue);
+			console.log("[Filter] Keyword groups changed, re-running filters...");
+			resetProcessedVideoCards();
+			runAllFilters(true);
+			scheduleSettlingRescans("keyword group update");
+			return;
+		}
+
 		if (areaName !== "sync") {
 			return;
 		}
 
-		if (!Object.keys(changes).some((key) => key in DEFAULT_SETTINGS)) {
+		const changedKeys = Object.keys(changes);
+		if (!changedKeys.some((key) => key in DEFAULT_SETTINGS)) {
 			return;
 		}
 
 		chrome.storage.sync.get(DEFAULT_SETTINGS, (settings) => {
 			filterSettings = settings;
-			console.log("[Filter] Settings changed, re-running filters...");
+			reloadBlockedChannels(settings.blockedChannels);
+			const changedFilters = getFiltersForSettingsKeys(changedKeys)
+				.map((filter) => filter.id)
+				.join(", ");
+			console.log(
+				`[Filter] Settings changed (${changedFilters || "general"}), re-running filters...`,
+			);
 			resetProcessedVideoCards();
 			runAllFilters(true);
 			scheduleSettlingRescans("settings change");
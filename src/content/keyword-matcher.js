@@ -0,0 +1,459 @@
+/**
+ * Keyword Matcher
+ * Shared by the content script and the popup so keyword rules are validated
+ * and matched the same way in both places.
+ */
+
+const KEYWORD_MATCH_MODES = ["substring", "word", "regex"];
+// "spoiler" blurs the card and masks its title instead of hiding it.
+const KEYWORD_ACTIONS = ["hide", "spoiler"];
+const KEYWORD_MODE_LABELS = {
+	substring: "substring",
+	word: "whole word",
+	regex: "regex",
+};
+// Video fields a keyword can target; titles only unless picked otherwise.
+const KEYWORD_MATCH_FIELDS = ["title", "channel", "description", "hashtags"];
+const KEYWORD_FIELD_LABELS = {
+	title: "title",
+	channel: "channel",
+	description: "description",
+	hashtags: "hashtags",
+};
+const DEFAULT_KEYWORD_FIELDS = ["title"];
+const WORD_CHARACTER_CLASS = "[\\p{L}\\p{N}_]";
+// Soft hyphens, zero-width spaces/joiners, direction marks and BOMs.
+const INVISIBLE_CHARACTER_PATTERN =
+	/\u00AD|\u180E|\u200B|\u200C|\u200D|\u200E|\u200F|[\u2060-\u2064]|\uFEFF/g;
+// Accents on Latin, Greek and Cyrillic letters; marks that other scripts
+// need for their vowels stay.
+const COMBINING_DIACRITIC_PATTERN =
+	/(?<=[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{Mn}+/gu;
+// Cyrillic and Greek letters drawn like Latin ones, plus Latin letters
+// whose stroke doesn't decompose into a diacritic.
+const KEYWORD_HOMOGLYPHS = {
+	"\u0430": "a",
+	"\u0432": "b",
+	"\u0435": "e",
+	"\u043A": "k",
+	"\u043C": "m",
+	"\u043D": "h",
+	"\u043E": "o",
+	"\u0440": "p",
+	"\u0441": "c",
+	"\u0442": "t",
+	"\u0443": "y",
+	"\u0445": "x",
+	"\u0455": "s",
+	"\u0456": "i",
+	"\u0458": "j",
+	"\u0410": "A",
+	"\u0412": "B",
+	"\u0415": "E",
+	"\u041A": "K",
+	"\u041C": "M",
+	"\u041D": "H",
+	"\u041E": "O",
+	"\u0420": "P",
+	"\u0421": "C",
+	"\u0422": "T",
+	"\u0425": "X",
+	"\u03B1": "a",
+	"\u03B9": "i",
+	"\u03BA": "k",
+	"\u03BD": "v",
+	"\u03BF": "o",
+	"\u03C1": "p",
+	"\u03C4": "t",
+	"\u03C5": "u",
+	"\u0391": "A",
+	"\u0392": "B",
+	"\u0395": "E",
+	"\u0396": "Z",
+	"\u0397": "H",
+	"\u0399": "I",
+	"\u039A": "K",
+	"\u039C": "M",
+	"\u039D": "N",
+	"\u039F": "O",
+	"\u03A1": "P",
+	"\u03A4": "T",
+	"\u03A5": "Y",
+	"\u03A7": "X",
+	"\u00F8": "o",
+	"\u00D8": "O",
+	"\u0142": "l",
+	"\u0141": "L",
+	"\u0111": "d",
+	"\u0110": "D",
+};
+// Only for case-insensitive rules, and only digits and symbols: letters
+// are never rewritten, so "fail" can't meet "fall".
+const KEYWORD_LEETSPEAK = {
+	0: "o",
+	1: "i",
+	3: "e",
+	4: "a",
+	5: "s",
+	7: "t",
+	8: "b",
+	9: "g",
+	"@": "a",
+	$: "s",
+};
+// Leetspeak only applies inside words that are mostly letters, so numbers
+// like "10", "4K" or "1080p" are never read as "io", "ak" or "iobop".
+const LEETSPEAK_WORD_PATTERN = /[\p{L}\p{N}@$]+/gu;
+const LEETSPEAK_CHARACTER_PATTERN = /[01345789@$]/g;
+const FOLDED_TEXT_CACHE_LIMIT = 500;
+const compiledKeywordPatterns = new Map();
+const foldedTextCache = new Map();
+
+/**
+ * Keeps known fields in canonical order, falling back to the title.
+ * @returns {string[]}
+ */
+function normalizeKeywordFields(fields) {
+	const selectedFields = Array.isArray(fields)
+		? KEYWORD_MATCH_FIELDS.filter((field) => fields.includes(field))
+		: [];
+	return selectedFields.length > 0
+		? selectedFields
+		: [...DEFAULT_KEYWORD_FIELDS];
+}
+
+function hasDefaultKeywordFields(entry) {
+	return entry.fields.join(",") === DEFAULT_KEYWORD_FIELDS.join(",");
+}
+
+/**
+ * Folds text so look-alike spellings compare equal: NFKC (fullwidth and
+ * styled letters), invisible characters removed, diacritics stripped and
+ * homoglyphs mapped to Latin; with `leetspeak`, also lowercased and
+ * "sp0i1er"-style digits mapped to letters.
+ * @param {string} text
+ * @param {boolean} leetspeak
+ * @returns {string}
+ */
+function foldKeywordText(text, leetspeak) {
+	const cacheKey = `${leetspeak ? "l" : "-"}${text}`;
+	if (foldedTextCache.has(cacheKey)) {
+		return foldedTextCache.get(cacheKey);
+	}
+
+	const stripped = text
+		.normalize("NFKC")
+		.replace(INVISIBLE_CHARACTER_PATTERN, "")
+		.normalize("NFD")
+		.replace(COMBINING_DIACRITIC_PATTERN, "")
+		.normalize("NFC");
+	const unglyphed = Array.from(
+		stripped,
+		(character) => KEYWORD_HOMOGLYPHS[character] || character,
+	).join("");
+	const folded = leetspeak
+		? unglyphed.toLowerCase().replace(LEETSPEAK_WORD_PATTERN, foldLeetspeakWord)
+		: unglyphed;
+
+	if (foldedTextCache.size >= FOLDED_TEXT_CACHE_LIMIT) {
+		foldedTextCache.clear();
+	}
+	foldedTextCache.set(cacheKey, folded);
+	return folded;
+}
+
+function foldLeetspeakWord(word) {
+	const leetCount = word.match(LEETSPEAK_CHARACTER_PATTERN)?.length || 0;
+	const letterCount = word.match(/\p{L}/gu)?.length || 0;
+	if (leetCount === 0 || letterCount <= leetCount) {
+		return word;
+	}
+
+	return word.replace(
+		LEETSPEAK_CHARACTER_PATTERN,
+		(character) => KEYWORD_LEETSPEAK[character],
+	);
+}
+
+function usesLeetspeak(entry) {
+	return !entry.exact && !entry.caseSensitive;
+}
+
+/**
+ * Regex sources can't be folded safely (escapes, classes), so regex
+ * keywords match the text as written, like exact ones.
+ */
+function usesFolding(entry) {
+	return !entry.exact && entry.mode !== "regex";
+}
+
+function getFoldedKeywordText(entry) {
+	return usesFolding(entry)
+		? foldKeywordText(entry.text, usesLeetspeak(entry))
+		: entry.text;
+}
+
+/**
+ * Normalizes a stored keyword into a rule object.
+ * Legacy plain-string keywords become case-insensitive substring rules on titles.
+ * Unless `exact` or regex, keywords and text are folded before matching.
+ * Temporary mutes carry an `expiresAt` timestamp (ms).
+ * @param {string | {text: string, mode?: string, caseSensitive?: boolean, exact?: boolean, fields?: string[], expiresAt?: number, action?: string}} keyword
+ * @returns {{text: string, mode: string, caseSensitive: boolean, exact: boolean, fields: string[], expiresAt: number | null, action: string} | null}
+ */
+function normalizeKeywordEntry(keyword) {
+	if (typeof keyword === "string") {
+		const text = keyword.trim();
+		return text
+			? {
+					text,
+					mode: "substring",
+					caseSensitive: false,
+					exact: false,
+					fields: [...DEFAULT_KEYWORD_FIELDS],
+					expiresAt: null,
+					action: "hide",
+				}
+			: null;
+	}
+
+	if (!keyword || typeof keyword.text !== "string" || !keyword.text.trim()) {
+		return null;
+	}
+
+	return {
+		text: keyword.mode === "regex" ? keyword.text : keyword.text.trim(),
+		mode: KEYWORD_MATCH_MODES.includes(keyword.mode)
+			? keyword.mode
+			: "substring",
+		caseSensitive: Boolean(keyword.caseSensitive),
+		exact: Boolean(keyword.exact),
+		fields: normalizeKeywordFields(keyword.fields),
+		expiresAt: Number.isFinite(keyword.expiresAt) ? keyword.expiresAt : null,
+		action: KEYWORD_ACTIONS.includes(keyword.action) ? keyword.action : "hide",
+	};
+}
+
+/**
+ * Smallest stored form of a keyword: a plain string when every option is
+ * the default, so long lists fit in sync storage.
+ * @returns {string | Object | null}
+ */
+function compactKeywordEntry(keyword) {
+	const entry = normalizeKeywordEntry(keyword);
+	if (!entry) {
+		return null;
+	}
+
+	const compact = {
+		text: entry.text,
+		...(entry.mode !== "substring" && { mode: entry.mode }),
+		...(entry.caseSensitive && { caseSensitive: true }),
+		...(entry.exact && { exact: true }),
+		...(!hasDefaultKeywordFields(entry) && { fields: entry.fields }),
+		...(entry.expiresAt !== null && { expiresAt: entry.expiresAt }),
+		...(entry.action !== "hide" && { action: entry.action }),
+	};
+
+	return Object.keys(compact).length === 1 ? entry.text : compact;
+}
+
+/**
+ * Removes keywords that match the same way as an earlier one.
+ * @returns {{keywords: Array<string | Object>, duplicates: number}}
+ */
+function dedupeKeywords(keywords) {
+	const seenKeys = new Set();
+	const uniqueKeywords = keywords.filter((keyword) => {
+		const key = getKeywordEntryKey(keyword);
+		if (!key || seenKeys.has(key)) {
+			return false;
+		}
+		seenKeys.add(key);
+		return true;
+	});
+
+	return {
+		keywords: uniqueKeywords,
+		duplicates: keywords.length - uniqueKeywords.length,
+	};
+}
+
+/**
+ * Whether a temporary mute has run out. The background worker prunes
+ * expired mutes; until it does they are skipped.
+ * @returns {boolean}
+ */
+function isKeywordEntryExpired(keyword, now = Date.now()) {
+	const expiresAt = normalizeKeywordEntry(keyword)?.expiresAt ?? null;
+	return expiresAt !== null && expiresAt <= now;
+}
+
+function getKeywordEntryKey(keyword) {
+	const entry = normalizeKeywordEntry(keyword);
+	if (!entry) {
+		return null;
+	}
+
+	const text = entry.caseSensitive ? entry.text : entry.text.toLowerCase();
+	// Title-only keys stay as they were before fields existed.
+	const fields = hasDefaultKeywordFields(entry)
+		? ""
+		: `${entry.fields.join("+")}:`;
+	const exact = entry.exact ? "exact:" : "";
+	return `${entry.mode}:${entry.caseSensitive ? "cs" : "ci"}:${exact}${fields}${text}`;
+}
+
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function buildKeywordPattern(entry) {
+	if (entry.mode === "regex") {
+		return new RegExp(entry.text, entry.caseSensitive ? "" : "i");
+	}
+
+	if (entry.mode === "word") {
+		return new RegExp(
+			`(?<!${WORD_CHARACTER_CLASS})${escapeRegExp(getFoldedKeywordText(entry))}(?!${WORD_CHARACTER_CLASS})`,
+			entry.caseSensitive ? "u" : "iu",
+		);
+	}
+
+	return null;
+}
+
+/**
+ * Returns an error message for an invalid keyword rule, or null when valid.
+ * @param {string | {text: string, mode?: string, caseSensitive?: boolean}} keyword
+ * @returns {string | null}
+ */
+function validateKeywordEntry(keyword) {
+	const entry = normalizeKeywordEntry(keyword);
+	if (!entry) {
+		return "Keyword cannot be empty";
+	}
+
+	if (!getFoldedKeywordText(entry).trim()) {
+		return "Keyword is empty once invisible characters are removed";
+	}
+
+	try {
+		const pattern = buildKeywordPattern(entry);
+		if (pattern?.test("")) {
+			return "Pattern matches empty text";
+		}
+	} catch (error) {
+		return error.message;
+	}
+
+	return null;
+}
+
+function getCompiledKeywordPattern(entry) {
+	const key = getKeywordEntryKey(entry);
+	if (!compiledKeywordPatterns.has(key)) {
+		let pattern = null;
+		try {
+			pattern = buildKeywordPattern(entry);
+		} catch (error) {
+			console.warn(`[Filter] Ignoring invalid keyword "${entry.text}":`, error);
+		}
+		compiledKeywordPatterns.set(key, pattern);
+	}
+
+	return compiledKeywordPatterns.get(key);
+}
+
+/**
+ * Tests a keyword rule against text.
+ * @param {string | {text: string, mode?: string, caseSensitive?: boolean}} keyword
+ * @param {string | null | undefined} text
+ * @returns {boolean}
+ */
+function matchKeywordEntry(keyword, text) {
+	const entry = normalizeKeywordEntry(keyword);
+	if (!entry || typeof text !== "string" || !text) {
+		return false;
+	}
+
+	// Keyword and text are folded the same way, so a match never relies on
+	// letters that folding made up on one side only.
+	const matchText = usesFolding(entry)
+		? foldKeywordText(text, usesLeetspeak(entry))
+		: text;
+	if (entry.mode === "substring") {
+		const keywordText = getFoldedKeywordText(entry);
+		if (!keywordText) {
+			return false;
+		}
+
+		return entry.caseSensitive
+			? matchText.includes(keywordText)
+			: matchText.toLowerCase().includes(keywordText.toLowerCase());
+	}
+
+	return Boolean(getCompiledKeywordPattern(entry)?.test(matchText));
+}
+
+/**
+ * Tests a keyword rule against each field it targets.
+ * @param {string | {text: string, mode?: string, caseSensitive?: boolean, fields?: string[]}} keyword
+ * @param {Object<string, string | null>} fieldTexts - Text per field, e.g. `{title, channel}`
+ * @returns {string | null} The first matching field
+ */
+function matchKeywordEntryFields(keyword, fieldTexts) {
+	const entry = normalizeKeywordEntry(keyword);
+	if (!entry) {
+		return null;
+	}
+
+	return (
+		entry.fields.find((field) => matchKeywordEntry(entry, fieldTexts[field])) ||
+		null
+	);
+}
+
+/**
+ * Describes how a keyword rule matches, e.g. "whole word, case-sensitive".
+ * @returns {string}
+ */
+function describeKeywordEntry(keyword) {
+	const entry = normalizeKeywordEntry(keyword);
+	if (!entry) {
+		return "";
+	}
+
+	return [
+		KEYWORD_MODE_LABELS[entry.mode],
+		entry.caseSensitive ? "case-sensitive" : null,
+		entry.exact ? "exact" : null,
+		hasDefaultKeywordFields(entry)
+			? null
+			: `in ${entry.fields.map((field) => KEYWORD_FIELD_LABELS[field]).join(" + ")}`,
+		entry.action === "spoiler" ? "spoiler shield" : null,
+	]
+		.filter(Boolean)
+		.join(", ");
+}
+
+if (typeof window !== "undefined") {
+	window.KeywordMatcher = {
+		DEFAULT_KEYWORD_FIELDS,
+		KEYWORD_ACTIONS,
+		KEYWORD_FIELD_LABELS,
+		KEYWORD_MATCH_FIELDS,
+		KEYWORD_MATCH_MODES,
+		KEYWORD_MODE_LABELS,
+		compactKeywordEntry,
+		dedupeKeywords,
+		describeKeywordEntry,
+		foldKeywordText,
+		getKeywordEntryKey,
+		isKeywordEntryExpired,
+		matchKeywordEntry,
+		matchKeywordEntryFields,
+		normalizeKeywordEntry,
+		validateKeywordEntry,
+	};
+}
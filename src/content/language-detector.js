@@ -0,0 +1,203 @@
+/**
+ * Language Detector
+ * Guesses the languages of a video title from its scripts (kana, Hangul,
+ * Cyrillic, ...) and, for Latin-script titles, from common stopwords.
+ * Shared by the content script (detection) and the popup (language list).
+ */
+
+const TITLE_LANGUAGE_LABELS = {
+	en: "English",
+	es: "Spanish",
+	fr: "French",
+	de: "German",
+	pt: "Portuguese",
+	it: "Italian",
+	zh: "Chinese",
+	ja: "Japanese",
+	ko: "Korean",
+	ru: "Russian",
+	uk: "Ukrainian",
+	ar: "Arabic",
+	hi: "Hindi",
+	th: "Thai",
+};
+const MIXED_LANGUAGE_POLICIES = ["any", "primary", "all"];
+const UNKNOWN_LANGUAGE_POLICIES = ["show", "hide"];
+const LANGUAGE_SCRIPT_PATTERNS = {
+	han: /[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/g,
+	kana: /[\u3040-\u30FF\uFF66-\uFF9F]/g,
+	hangul: /[\u1100-\u11FF\u3130-\u318F\uAC00-\uD7AF]/g,
+	cyrillic: /[\u0400-\u04FF]/g,
+	arabic: /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/g,
+	devanagari: /[\u0900-\u097F]/g,
+	thai: /[\u0E00-\u0E7F]/g,
+	latin: /\p{Script=Latin}/gu,
+};
+// One CJK character carries about as much text as a few Latin letters.
+const DENSE_SCRIPT_WEIGHT = 3;
+const UKRAINIAN_LETTER_PATTERN = /[іїєґ]/i;
+const LATIN_WORD_PATTERN = /\p{Script=Latin}+/gu;
+// Short function words; a word shared by several languages counts for each,
+// so the distinctive ones decide. Order breaks ties.
+const LATIN_STOPWORDS = {
+	en: "the and of to is for with you your my how what why this that are was it from at we not be have will when i me",
+	es: "el la los las de del y en que por para con una un es lo como cómo qué mi más pero se su al porque muy",
+	fr: "le la les des du de et est une un pour dans avec sur que qui pas ce je vous il au aux mon ne",
+	de: "der die das und ist nicht mit ein eine den dem zu für auf ich wie was im von sich es auch wir",
+	pt: "o os as do da dos das e em um uma para com não que no na é eu você mais como por",
+	it: "il lo la gli le di del della e è che per con un una non sono come nel ma mi ti",
+};
+const LATIN_LETTER_HINTS = {
+	es: /[ñ¿¡]/gi,
+	de: /[ßäöü]/gi,
+	pt: /[ãõ]/gi,
+	fr: /[œ]/gi,
+};
+const LATIN_STOPWORD_SETS = Object.fromEntries(
+	Object.entries(LATIN_STOPWORDS).map(([language, words]) => [
+		language,
+		new Set(words.split(" ")),
+	]),
+);
+
+function countMatches(text, pattern) {
+	return text.match(pattern)?.length || 0;
+}
+
+/**
+ * Picks the Latin-script language with the most stopword and letter hints.
+ * @returns {string | null}
+ */
+function detectLatinLanguage(text) {
+	const words = text.toLowerCase().match(LATIN_WORD_PATTERN) || [];
+	let bestLanguage = null;
+	let bestScore = 0;
+
+	for (const [language, stopwords] of Object.entries(LATIN_STOPWORD_SETS)) {
+		const score =
+			words.filter((word) => stopwords.has(word)).length +
+			(LATIN_LETTER_HINTS[language]
+				? countMatches(text, LATIN_LETTER_HINTS[language])
+				: 0);
+		if (score > bestScore) {
+			bestLanguage = language;
+			bestScore = score;
+		}
+	}
+
+	return bestLanguage;
+}
+
+/**
+ * Detects every language in a title, most prominent first, e.g.
+ * `["ja", "en"]` for "寿司の作り方 How to make sushi".
+ * @param {string | null | undefined} title
+ * @returns {string[]} Empty when the language can't be told
+ */
+function detectTitleLanguages(title) {
+	const text = typeof title === "string" ? title.trim() : "";
+	if (!text) {
+		return [];
+	}
+
+	const counts = Object.fromEntries(
+		Object.entries(LANGUAGE_SCRIPT_PATTERNS).map(([script, pattern]) => [
+			script,
+			countMatches(text, pattern),
+		]),
+	);
+	const scores = {};
+
+	// Kanji next to kana is Japanese; a single Han character alone is too
+	// little to call Chinese.
+	if (counts.kana > 0) {
+		scores.ja = (counts.kana + counts.han) * DENSE_SCRIPT_WEIGHT;
+	} else if (counts.han >= 2) {
+		scores.zh = counts.han * DENSE_SCRIPT_WEIGHT;
+	}
+
+	if (counts.hangul > 0) {
+		scores.ko = counts.hangul * DENSE_SCRIPT_WEIGHT;
+	}
+
+	if (counts.cyrillic > 0) {
+		scores[UKRAINIAN_LETTER_PATTERN.test(text) ? "uk" : "ru"] = counts.cyrillic;
+	}
+
+	for (const [script, language] of [
+		["arabic", "ar"],
+		["devanagari", "hi"],
+		["thai", "th"],
+	]) {
+		if (counts[script] > 0) {
+			scores[language] = counts[script];
+		}
+	}
+
+	if (counts.latin > 0) {
+		// Latin brand names next to another script don't make a title mixed, but
+		// a Latin-only title without stopwords is still most likely English.
+		const latinLanguage =
+			detectLatinLanguage(text) ||
+			(Object.keys(scores).length === 0 && counts.latin >= 2 ? "en" : null);
+		if (latinLanguage) {
+			scores[latinLanguage] = counts.latin;
+		}
+	}
+
+	return Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+}
+
+/**
+ * Primary title language, or "unknown".
+ * @param {string | null | undefined} title
+ * @returns {string}
+ */
+function detectTitleLanguage(title) {
+	return detectTitleLanguages(title)[0] || "unknown";
+}
+
+/**
+ * Resolves the language filter settings. Until the filter is saved from the
+ * popup, the legacy `englishOnlyTitles` and `languageFilterMode: "enOnly"`
+ * keys mean "English only, hide unknown titles".
+ * @returns {{enabled: boolean, allowedLanguages: string[], mixedLanguagePolicy: string, unknownLanguagePolicy: string}}
+ */
+function getLanguageFilterSettings(settings) {
+	if (typeof settings.languageFilterEnabled !== "boolean") {
+		return {
+			enabled:
+				settings.englishOnlyTitles === true ||
+				settings.languageFilterMode === "enOnly",
+			allowedLanguages: ["en"],
+			mixedLanguagePolicy: "primary",
+			unknownLanguagePolicy: "hide",
+		};
+	}
+
+	return {
+		enabled: settings.languageFilterEnabled,
+		allowedLanguages: (settings.allowedLanguages || []).filter(
+			(language) => language in TITLE_LANGUAGE_LABELS,
+		),
+		mixedLanguagePolicy: MIXED_LANGUAGE_POLICIES.includes(
+			settings.mixedLanguagePolicy,
+		)
+			? settings.mixedLanguagePolicy
+			: "any",
+		unknownLanguagePolicy: UNKNOWN_LANGUAGE_POLICIES.includes(
+			settings.unknownLanguagePolicy,
+		)
+			? settings.unknownLanguagePolicy
+			: "show",
+	};
+}
+
+if (typeof window !== "undefined") {
+	window.LanguageDetector = {
+		TITLE_LANGUAGE_LABELS,
+		detectTitleLanguage,
+		detectTitleLanguages,
+		getLanguageFilterSettings,
+	};
+}
@@ -0,0 +1,343 @@
+/**
+ * Locale Parser
+ * Parses view counts, relative publish times and text durations in the
+ * YouTube UI language, picked from the page's `hl` parameter or <html lang>.
+ * Shared by the content script and the data extractor.
+ */
+
+const DEFAULT_LOCALE = "en";
+const LOCALE_FORMATS = {
+	en: {
+		decimalSeparator: ".",
+		groupSeparators: ",",
+		numberSuffixes: { k: 1e3, m: 1e6, b: 1e9 },
+		viewWords: "views?",
+		noViews: /No views?/i,
+		relativeTime:
+			/(?:streamed\s+)?(\d+)\s*(second|minute|hour|day|week|month|year)s?\s*ago/i,
+		timeUnits: {
+			second: "second",
+			minute: "minute",
+			hour: "hour",
+			day: "day",
+			week: "week",
+			month: "month",
+			year: "year",
+		},
+		durationUnits: {
+			hour: "h(?:our)?s?",
+			minute: "m(?:in(?:ute)?)?s?",
+			second: "s(?:ec(?:ond)?)?s?",
+		},
+	},
+	zh: {
+		decimalSeparator: ".",
+		groupSeparators: ",",
+		numberSuffixes: { 万: 1e4, 萬: 1e4, 亿: 1e8, 億: 1e8 },
+		viewWords: "次(?:观看|觀看)",
+		noViews: /无人观看|沒有人觀看|尚无观看|尚無觀看/,
+		relativeTime: /(\d+)\s*(秒|分钟|分鐘|小时|小時|天|周|週|个月|個月|月|年)前/,
+		timeUnits: {
+			秒: "second",
+			分钟: "minute",
+			分鐘: "minute",
+			小时: "hour",
+			小時: "hour",
+			天: "day",
+			周: "week",
+			週: "week",
+			个月: "month",
+			個月: "month",
+			月: "month",
+			年: "year",
+		},
+		durationUnits: {
+			hour: "(?:小时|小時)",
+			minute: "(?:分钟|分鐘)",
+			second: "秒",
+		},
+	},
+	ja: {
+		decimalSeparator: ".",
+		groupSeparators: ",",
+		numberSuffixes: { 万: 1e4, 億: 1e8 },
+		viewWords: "回視聴",
+		noViews: /視聴なし|視聴回数なし/,
+		relativeTime: /(\d+)\s*(秒|分|時間|日|週間|か月|ヶ月|カ月|年)前/,
+		timeUnits: {
+			秒: "second",
+			分: "minute",
+			時間: "hour",
+			日: "day",
+			週間: "week",
+			か月: "month",
+			ヶ月: "month",
+			カ月: "month",
+			年: "year",
+		},
+		durationUnits: { hour: "時間", minute: "分", second: "秒" },
+	},
+	de: {
+		decimalSeparator: ",",
+		groupSeparators: ".",
+		numberSuffixes: { "tsd.": 1e3, "mio.": 1e6, "mrd.": 1e9 },
+		viewWords: "Aufrufe",
+		noViews: /Keine Aufrufe/i,
+		relativeTime:
+			/vor\s+(\d+)\s+(Sekunde|Minute|Stunde|Tag|Woche|Monat|Jahr)(?:en|e|n|s)?/i,
+		timeUnits: {
+			sekunde: "second",
+			minute: "minute",
+			stunde: "hour",
+			tag: "day",
+			woche: "week",
+			monat: "month",
+			jahr: "year",
+		},
+		durationUnits: {
+			hour: "Stunden?",
+			minute: "Minuten?",
+			second: "Sekunden?",
+		},
+	},
+	fr: {
+		decimalSeparator: ",",
+		// Thousands are grouped with (narrow) no-break spaces: "1 234 vues".
+		// Plain spaces aren't, or "Top 10" + "1,2 k vues" would read as 101 200.
+		groupSeparators: "\u202f\u00a0",
+		numberSuffixes: { k: 1e3, m: 1e6, md: 1e9 },
+		viewWords: "(?:de\\s+)?vues?",
+		noViews: /Aucune vue/i,
+		relativeTime:
+			/il y a\s+(\d+)\s+(seconde|minute|heure|jour|semaine|mois|an)s?/i,
+		timeUnits: {
+			seconde: "second",
+			minute: "minute",
+			heure: "hour",
+			jour: "day",
+			semaine: "week",
+			mois: "month",
+			an: "year",
+		},
+		durationUnits: {
+			hour: "heures?",
+			minute: "minutes?",
+			second: "secondes?",
+		},
+	},
+};
+const LOCALE_VIEW_COUNT_PATTERNS = buildViewCountPatterns();
+let cachedPageLocale = { key: null, locale: DEFAULT_LOCALE };
+
+// Collapses whitespace but keeps no-break spaces, which group thousands.
+const ORDINARY_WHITESPACE_PATTERN = /[^\S\u00a0\u202f]+/g;
+
+function escapeLocaleRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function buildViewCountPatterns() {
+	const patterns = {};
+	for (const [locale, format] of Object.entries(LOCALE_FORMATS)) {
+		const suffixes = Object.keys(format.numberSuffixes)
+			.sort((a, b) => b.length - a.length)
+			.map(escapeLocaleRegExp)
+			.join("|");
+		const groupSeparators = escapeLocaleRegExp(format.groupSeparators);
+		const decimalSeparator = escapeLocaleRegExp(format.decimalSeparator);
+		// Groups after a separator are exactly three digits.
+		patterns[locale] = new RegExp(
+			`(\\d+(?:[${groupSeparators}]\\d{3})*(?:${decimalSeparator}\\d+)?)\\s*(${suffixes})?\\s*${format.viewWords}`,
+			"i",
+		);
+	}
+
+	return patterns;
+}
+
+/**
+ * Returns the UI language of the page, e.g. "de" for `?hl=de` or
+ * <html lang="de-DE">; unsupported languages fall back to English.
+ * @returns {string}
+ */
+function getPageLocale() {
+	if (typeof document === "undefined") {
+		return DEFAULT_LOCALE;
+	}
+
+	const key = `${location.search}|${document.documentElement?.lang || ""}`;
+	if (cachedPageLocale.key === key) {
+		return cachedPageLocale.locale;
+	}
+
+	const hl = new URLSearchParams(location.search).get("hl");
+	const language = (hl || document.documentElement?.lang || DEFAULT_LOCALE)
+		.toLowerCase()
+		.split(/[-_]/)[0];
+	const locale = language in LOCALE_FORMATS ? language : DEFAULT_LOCALE;
+	cachedPageLocale = { key, locale };
+	return locale;
+}
+
+/**
+ * Page locale first, then English for text YouTube left untranslated.
+ * @returns {string[]}
+ */
+function getCandidateLocales() {
+	const locale = getPageLocale();
+	return locale === DEFAULT_LOCALE ? [locale] : [locale, DEFAULT_LOCALE];
+}
+
+/**
+ * Parses a localized number such as "1,2" (de), "1.234" (de) or "12,345" (en).
+ * @returns {number | null}
+ */
+function parseLocalizedNumber(text, locale = getPageLocale()) {
+	const { decimalSeparator, groupSeparators } = LOCALE_FORMATS[locale];
+	const number = parseFloat(
+		text
+			.replace(new RegExp(`[${escapeLocaleRegExp(groupSeparators)}]`, "g"), "")
+			.replace(decimalSeparator, "."),
+	);
+
+	return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Finds the view count phrase in card text, e.g. "3.2万次观看" or "1,2 Mio. Aufrufe".
+ * @param {string | null | undefined} text
+ * @returns {string | null}
+ */
+function findViewCountText(text) {
+	if (!text) {
+		return null;
+	}
+
+	for (const locale of getCandidateLocales()) {
+		const match =
+			text.match(LOCALE_VIEW_COUNT_PATTERNS[locale]) ||
+			text.match(LOCALE_FORMATS[locale].noViews);
+		if (match) {
+			return match[0].replace(ORDINARY_WHITESPACE_PATTERN, " ").trim();
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Parses a view count phrase to a number; "No views" and unknown text are 0.
+ * @param {string | null | undefined} text
+ * @returns {number}
+ */
+function parseLocalizedViewCount(text) {
+	if (!text) {
+		return 0;
+	}
+
+	for (const locale of getCandidateLocales()) {
+		const match = text.match(LOCALE_VIEW_COUNT_PATTERNS[locale]);
+		if (!match) {
+			continue;
+		}
+
+		const number = parseLocalizedNumber(match[1], locale);
+		const multiplier = match[2]
+			? LOCALE_FORMATS[locale].numberSuffixes[match[2].toLowerCase()] || 1
+			: 1;
+		return number === null ? 0 : number * multiplier;
+	}
+
+	return 0;
+}
+
+/**
+ * Finds the relative publish time phrase, e.g. "2年前" or "vor 3 Jahren".
+ * @param {string | null | undefined} text
+ * @returns {string | null}
+ */
+function findPublishTimeText(text) {
+	if (!text) {
+		return null;
+	}
+
+	for (const locale of getCandidateLocales()) {
+		const match = text.match(LOCALE_FORMATS[locale].relativeTime);
+		if (match) {
+			return match[0].replace(/\s+/g, " ").trim();
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Parses a relative publish time into an amount and an English unit name.
+ * @param {string | null | undefined} text
+ * @returns {{amount: number, unit: "second" | "minute" | "hour" | "day" | "week" | "month" | "year"} | null}
+ */
+function parseRelativeTime(text) {
+	if (!text) {
+		return null;
+	}
+
+	for (const locale of getCandidateLocales()) {
+		const { relativeTime, timeUnits } = LOCALE_FORMATS[locale];
+		const match = text.match(relativeTime);
+		const unit = match && timeUnits[match[2].toLowerCase()];
+		if (unit) {
+			return { amount: parseInt(match[1], 10), unit };
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Parses a spelled-out duration such as "1 hour 23 minutes" or "1時間23分".
+ * @param {string | null | undefined} text
+ * @returns {number} Total seconds
+ */
+function parseDurationText(text) {
+	if (!text) {
+		return 0;
+	}
+
+	for (const locale of getCandidateLocales()) {
+		const { durationUnits } = LOCALE_FORMATS[locale];
+		let totalSeconds = 0;
+		let matched = false;
+
+		for (const [unit, seconds] of [
+			["hour", 3600],
+			["minute", 60],
+			["second", 1],
+		]) {
+			const match = text.match(
+				new RegExp(`(\\d+)\\s*${durationUnits[unit]}`, "i"),
+			);
+			if (match) {
+				totalSeconds += parseInt(match[1], 10) * seconds;
+				matched = true;
+			}
+		}
+
+		if (matched) {
+			return totalSeconds;
+		}
+	}
+
+	return 0;
+}
+
+if (typeof window !== "undefined") {
+	window.LocaleParser = {
+		findPublishTimeText,
+		findViewCountText,
+		getPageLocale,
+		parseDurationText,
+		parseLocalizedNumber,
+		parseLocalizedViewCount,
+		parseRelativeTime,
+	};
+}
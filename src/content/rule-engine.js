@@ -0,0 +1,385 @@
+/**
+ * Filter Rule Engine
+ * Parses and evaluates user-defined rule expressions such as
+ * `duration < 2m AND views < 5K` or `age >= 1 AND NOT subscribed`.
+ * Shared by the content script (evaluation) and the popup (validation).
+ */
+
+const RULE_ACTIONS = ["hide", "dim", "keep"];
+const RULE_FIELDS = {
+	title: { type: "text", dataField: "title" },
+	channel: { type: "text", dataField: "channelName" },
+	views: { type: "number", dataField: "viewCount" },
+	velocity: { type: "number", dataField: "viewsPerDay" },
+	duration: { type: "number", dataField: "duration" },
+	age: { type: "number", dataField: "publishTime" },
+	language: { type: "text", dataField: "titleLanguage" },
+	clickbait: { type: "number", dataField: "title" },
+	badge: { type: "text", dataField: null },
+	page: { type: "text", dataField: null },
+	subscribed: { type: "boolean", dataField: null },
+	short: { type: "boolean", dataField: null },
+	watched: { type: "number", dataField: null },
+};
+const RULE_FIELD_ALIASES = {
+	lang: "language",
+	length: "duration",
+	vpd: "velocity",
+	badges: "badge",
+	shorts: "short",
+};
+const RULE_TEXT_OPERATORS = ["=", "!=", "~", "!~"];
+const RULE_NUMBER_OPERATORS = ["=", "!=", "<", "<=", ">", ">="];
+const RULE_TOKEN_PATTERN =
+	/\s*(\(|\)|&&|\|\||!=|!~|<=|>=|=|<|>|~|!|"(?:[^"\\]|\\.)*"|[^\s()=<>!~"]+)/y;
+const RULE_NUMBER_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+const RULE_DURATION_UNITS = { s: 1, m: 60, h: 3600 };
+// Ages are compared in days; a bare number means years for older rules.
+const RULE_AGE_UNITS = { d: 1, w: 7, mo: 30, y: 365 };
+const compiledRuleExpressions = new Map();
+
+function tokenizeRuleExpression(source) {
+	const tokens = [];
+	RULE_TOKEN_PATTERN.lastIndex = 0;
+
+	while (RULE_TOKEN_PATTERN.lastIndex < source.length) {
+		const startIndex = RULE_TOKEN_PATTERN.lastIndex;
+		const match = RULE_TOKEN_PATTERN.exec(source);
+		if (!match) {
+			if (!source.slice(startIndex).trim()) {
+				break;
+			}
+			throw new Error(`Unexpected input at "${source.slice(startIndex)}"`);
+		}
+		tokens.push(match[1]);
+	}
+
+	return tokens;
+}
+
+function isRuleKeyword(token, keyword) {
+	return typeof token === "string" && token.toUpperCase() === keyword;
+}
+
+function parseRuleNumber(field, rawValue) {
+	const value = rawValue.toLowerCase();
+
+	if (field === "duration") {
+		if (value.includes(":")) {
+			const parts = value.split(":").map(Number);
+			if (parts.length <= 3 && parts.every(Number.isFinite)) {
+				return parts.reduce((total, part) => total * 60 + part, 0);
+			}
+		}
+
+		const match = value.match(/^(\d+(?:\.\d+)?)([smh])?$/);
+		if (match) {
+			return Number(match[1]) * RULE_DURATION_UNITS[match[2] || "s"];
+		}
+	}
+
+	if (field === "views" || field === "velocity") {
+		const match = value.match(/^(\d+(?:\.\d+)?)([kmb])?$/);
+		if (match) {
+			return Number(match[1]) * (RULE_NUMBER_SUFFIXES[match[2]] || 1);
+		}
+	}
+
+	if (field === "watched" || field === "clickbait") {
+		const match = value.match(/^(\d+(?:\.\d+)?)%?$/);
+		if (match) {
+			return Number(match[1]);
+		}
+	}
+
+	if (field === "age") {
+		const match = value.match(/^(\d+(?:\.\d+)?)(d|w|mo|y)?$/);
+		if (match) {
+			return Number(match[1]) * RULE_AGE_UNITS[match[2] || "y"];
+		}
+	}
+
+	throw new Error(`Invalid ${field} value "${rawValue}"`);
+}
+
+function parseRuleText(rawValue) {
+	if (rawValue.startsWith('"')) {
+		return JSON.parse(rawValue);
+	}
+
+	return rawValue;
+}
+
+/**
+ * Parses a rule expression into a condition tree.
+ * Throws an Error with a readable message when the expression is invalid.
+ * @param {string} source
+ * @returns {Object} Condition tree of {op: "and"|"or"|"not"} and {field, operator, value} nodes
+ */
+function parseRuleExpression(source) {
+	if (typeof source !== "string" || !source.trim()) {
+		throw new Error("Expression cannot be empty");
+	}
+
+	const tokens = tokenizeRuleExpression(source);
+	let position = 0;
+
+	const peek = () => tokens[position];
+	const next = () => tokens[position++];
+
+	function parseCondition() {
+		const token = next();
+		if (token === undefined) {
+			throw new Error("Expression ends unexpectedly");
+		}
+
+		const fieldName = token.toLowerCase();
+		const field = RULE_FIELD_ALIASES[fieldName] || fieldName;
+		const definition = RULE_FIELDS[field];
+		if (!definition) {
+			throw new Error(`Unknown field "${token}"`);
+		}
+
+		if (definition.type === "boolean") {
+			return { field, operator: "=", value: true };
+		}
+
+		const operator = next();
+		const allowedOperators =
+			definition.type === "number"
+				? RULE_NUMBER_OPERATORS
+				: RULE_TEXT_OPERATORS;
+		if (!allowedOperators.includes(operator)) {
+			throw new Error(
+				`Expected one of ${allowedOperators.join(" ")} after "${token}"`,
+			);
+		}
+
+		const rawValue = next();
+		if (rawValue === undefined || ["(", ")"].includes(rawValue)) {
+			throw new Error(`Missing value after "${token} ${operator}"`);
+		}
+
+		return {
+			field,
+			operator,
+			value:
+				definition.type === "number"
+					? parseRuleNumber(field, rawValue)
+					: parseRuleText(rawValue),
+		};
+	}
+
+	function parsePrimary() {
+		if (peek() === "(") {
+			next();
+			const node = parseOr();
+			if (next() !== ")") {
+				throw new Error('Missing ")"');
+			}
+			return node;
+		}
+
+		return parseCondition();
+	}
+
+	function parseNot() {
+		if (peek() === "!" || isRuleKeyword(peek(), "NOT")) {
+			next();
+			return { op: "not", conditions: [parseNot()] };
+		}
+
+		return parsePrimary();
+	}
+
+	function parseAnd() {
+		const conditions = [parseNot()];
+		while (peek() === "&&" || isRuleKeyword(peek(), "AND")) {
+			next();
+			conditions.push(parseNot());
+		}
+
+		return conditions.length === 1 ? conditions[0] : { op: "and", conditions };
+	}
+
+	function parseOr() {
+		const conditions = [parseAnd()];
+		while (peek() === "||" || isRuleKeyword(peek(), "OR")) {
+			next();
+			conditions.push(parseAnd());
+		}
+
+		return conditions.length === 1 ? conditions[0] : { op: "or", conditions };
+	}
+
+	const tree = parseOr();
+	if (position < tokens.length) {
+		throw new Error(`Unexpected "${tokens[position]}"`);
+	}
+
+	return tree;
+}
+
+/**
+ * Returns an error message for an invalid rule, or null when valid.
+ * @param {{expression: string, action?: string}} rule
+ * @returns {string | null}
+ */
+function validateRule(rule) {
+	if (rule?.action && !RULE_ACTIONS.includes(rule.action)) {
+		return `Unknown action "${rule.action}"`;
+	}
+
+	try {
+		parseRuleExpression(rule?.expression);
+	} catch (error) {
+		return error.message;
+	}
+
+	return null;
+}
+
+/**
+ * Returns the parsed condition tree for a rule, or null when it is invalid.
+ * @param {{expression: string}} rule
+ */
+function compileRule(rule) {
+	const expression = rule?.expression;
+	if (!compiledRuleExpressions.has(expression)) {
+		let tree = null;
+		try {
+			tree = parseRuleExpression(expression);
+		} catch (error) {
+			console.warn(`[Filter] Ignoring invalid rule "${expression}":`, error);
+		}
+		compiledRuleExpressions.set(expression, tree);
+	}
+
+	return compiledRuleExpressions.get(expression);
+}
+
+/**
+ * Lists the fields a condition tree reads.
+ * @returns {string[]}
+ */
+function getRuleFields(tree) {
+	if (!tree) {
+		return [];
+	}
+
+	if (tree.conditions) {
+		return [...new Set(tree.conditions.flatMap(getRuleFields))];
+	}
+
+	return [tree.field];
+}
+
+function compareRuleText(operator, actual, expected) {
+	const actualText = String(actual).toLowerCase();
+	const expectedText = String(expected).toLowerCase();
+
+	switch (operator) {
+		case "=":
+			return actualText === expectedText;
+		case "!=":
+			return actualText !== expectedText;
+		case "~":
+			return actualText.includes(expectedText);
+		case "!~":
+			return !actualText.includes(expectedText);
+		default:
+			return false;
+	}
+}
+
+function compareRuleNumber(operator, actual, expected) {
+	switch (operator) {
+		case "=":
+			return actual === expected;
+		case "!=":
+			return actual !== expected;
+		case "<":
+			return actual < expected;
+		case "<=":
+			return actual <= expected;
+		case ">":
+			return actual > expected;
+		case ">=":
+			return actual >= expected;
+		default:
+			return false;
+	}
+}
+
+/**
+ * Three-valued evaluation: null means "unknown" because a field is missing.
+ * AND is false if any part is false, OR is true if any part is true, and
+ * NOT of unknown stays unknown.
+ * @returns {boolean | null}
+ */
+function evaluateRuleTree(tree, context) {
+	switch (tree.op) {
+		case "and": {
+			const results = tree.conditions.map((condition) =>
+				evaluateRuleTree(condition, context),
+			);
+			if (results.includes(false)) {
+				return false;
+			}
+			return results.includes(null) ? null : true;
+		}
+		case "or": {
+			const results = tree.conditions.map((condition) =>
+				evaluateRuleTree(condition, context),
+			);
+			if (results.includes(true)) {
+				return true;
+			}
+			return results.includes(null) ? null : false;
+		}
+		case "not": {
+			const result = evaluateRuleTree(tree.conditions[0], context);
+			return result === null ? null : !result;
+		}
+		default:
+			break;
+	}
+
+	const actual = context[tree.field];
+	if (actual === null || actual === undefined) {
+		return null;
+	}
+
+	const definition = RULE_FIELDS[tree.field];
+	if (definition.type === "boolean") {
+		return Boolean(actual) === tree.value;
+	}
+
+	return definition.type === "number"
+		? compareRuleNumber(tree.operator, actual, tree.value)
+		: compareRuleText(tree.operator, actual, tree.value);
+}
+
+/**
+ * Evaluates a condition tree against a rule context.
+ * Conditions on missing values (e.g. no view count) never match, even
+ * under NOT: `NOT views < 1K` doesn't match a card without a view count.
+ * @param {Object} tree
+ * @param {Object} context - Values keyed by rule field name
+ * @returns {boolean}
+ */
+function evaluateRuleCondition(tree, context) {
+	return Boolean(tree) && evaluateRuleTree(tree, context) === true;
+}
+
+if (typeof window !== "undefined") {
+	window.FilterRuleEngine = {
+		RULE_ACTIONS,
+		RULE_FIELDS,
+		compileRule,
+		evaluateRuleCondition,
+		getRuleFields,
+		parseRuleExpression,
+		validateRule,
+	};
+}
@@ -4,13 +4,59 @@ const DEFAULT_SETTINGS = {
 	durationFilterEnabled: true,
 	keywordFilterEnabled: true,
 	ageFilterEnabled: true,
-	englishOnlyTitles: false,
+	allowKeywordFilterEnabled: true,
 	preserveSubscribedChannels: true,
+	channelBlockFilterEnabled: true,
+	shortsMode: "filter",
+	hideLiveNow: false,
+	hideUpcoming: false,
+	hidePastStreams: false,
+	hideNewsShelves: false,
+	hidePostsShelves: false,
+	hideMixShelves: false,
+	hideExploreTopicsShelves: false,
+	hidePeopleAlsoWatchedShelves: false,
+	hideAdSlots: false,
+	hideMovieShelves: false,
+	watchedFilterEnabled: false,
+	maxWatchedPercent: 90,
+	partiallyWatchedMode: "show",
+	previewMode: false,
+	defaultDisplayMode: "remove",
+	displayModes: {},
 	minViews: 10000,
+	viewsPerDayFilterEnabled: false,
+	minViewsPerDay: 100,
+	viewsPerDayMode: "both",
 	minDuration: 60,
 	maxDuration: 3600,
 	maxAgeYears: 5,
+	maxAgeAmount: null,
+	maxAgeUnit: "years",
+	minAgeAmount: 0,
+	minAgeUnit: "days",
+	uploadDateFilterEnabled: false,
+	uploadedAfter: "",
+	uploadedBefore: "",
+	// null until saved from the popup; englishOnlyTitles and
+	// languageFilterMode: "enOnly" are honored until then.
+	languageFilterEnabled: null,
+	allowedLanguages: ["en"],
+	mixedLanguagePolicy: "any",
+	unknownLanguagePolicy: "show",
+	englishOnlyTitles: false,
+	languageFilterMode: null,
+	clickbaitFilterEnabled: false,
+	clickbaitThreshold: 50,
+	badgeFilterEnabled: false,
+	hiddenBadges: [],
+	requiredBadges: [],
+	autoplayGuardMode: "off",
+	// The default list; named keyword groups live in chrome.storage.local.
 	keywords: ["spoiler", "clickbait", "sponsor"],
+	allowKeywords: [],
+	blockedChannels: [],
+	customRules: [],
 };
 
 // Make the settings available to other scripts
@@ -7,7 +7,17 @@
 const DURATION_BADGE_PATTERN = /^(?:\d+:)?\d{1,2}:\d{2}$/;
 const CHANNEL_PATH_PREFIXES = ["/@", "/channel/"];
 const WATCH_LINK_SELECTOR =
-	"a#thumbnail, a#video-title, a#video-title-link, a[href*='/watch']";
+	"a#thumbnail, a#video-title, a#video-title-link, a[href*='/watch'], a[href^='/shorts/'], a.ytp-ce-covering-overlay";
+// Shaped like the view-count and publish-time texts they replace, so
+// channels such as "Bird Watching" or "Premiere Pro Tips" don't match.
+const LIVE_STATE_TEXT_PATTERNS = [
+	["live", /\d[\d.,]*\s*[KMB]?\s+watching\b/i],
+	[
+		"upcoming",
+		/\bscheduled for\s+\d|\bpremieres?\s+(?:in\s+\d|\d)|\d[\d.,]*\s*[KMB]?\s+waiting\b/i,
+	],
+	["past", /\bstreamed\s+(?:live\s+)?(?:\d|on\b)/i],
+];
 const RENDERER_DATA_ACCESSORS = [
 	(element) => element?.data,
 	(element) => element?.__data?.data,
@@ -82,8 +92,15 @@ function flattenMetadataTexts(metadataRows) {
 		.filter(Boolean);
 }
 
-function findMetadataText(metadataTexts, pattern) {
-	return metadataTexts.find((text) => pattern.test(text)) || null;
+function findMetadataText(metadataTexts, findText) {
+	for (const text of metadataTexts) {
+		const match = findText(text);
+		if (match) {
+			return match;
+		}
+	}
+
+	return null;
 }
 
 function normalizeDurationText(value) {
@@ -173,6 +190,210 @@ function extractHomeDuration(lockupViewModel) {
 	return null;
 }
 
+/**
+ * Classifies live-stream metadata text ("1.2K watching", "Scheduled for…",
+ * "Streamed 2 days ago").
+ * @param {Array<string | null | undefined>} texts
+ * @returns {"live" | "upcoming" | "past" | null}
+ */
+function getLiveStateFromText(texts) {
+	for (const [liveState, pattern] of LIVE_STATE_TEXT_PATTERNS) {
+		if (texts.some((text) => text && pattern.test(text))) {
+			return liveState;
+		}
+	}
+
+	return null;
+}
+
+function getLiveStateFromBadge(style, text) {
+	const badge = `${style || ""} ${text || ""}`.toUpperCase();
+	if (/\bLIVE\b|_LIVE(?:_|\b)/.test(badge)) {
+		return "live";
+	}
+	if (/UPCOMING/.test(badge)) {
+		return "upcoming";
+	}
+
+	return null;
+}
+
+function extractSearchLiveState(rendererData) {
+	if (rendererData.upcomingEventData) {
+		return "upcoming";
+	}
+
+	const badgeStyles = [
+		...(rendererData.badges || []).map(
+			(badge) => badge?.metadataBadgeRenderer?.style,
+		),
+		...(rendererData.thumbnailOverlays || []).map(
+			(overlay) => overlay?.thumbnailOverlayTimeStatusRenderer?.style,
+		),
+	];
+	for (const style of badgeStyles) {
+		const liveState = getLiveStateFromBadge(style);
+		if (liveState) {
+			return liveState;
+		}
+	}
+
+	return getLiveStateFromText([
+		textFromNode(rendererData.viewCountText),
+		textFromNode(rendererData.publishedTimeText),
+	]);
+}
+
+function extractLockupLiveState(lockupViewModel, metadataTexts) {
+	const overlays =
+		lockupViewModel?.contentImage?.thumbnailViewModel?.overlays || [];
+
+	for (const overlay of overlays) {
+		const badges =
+			overlay?.thumbnailBottomOverlayViewModel?.badges ||
+			overlay?.thumbnailOverlayBadgeViewModel?.badges ||
+			[];
+
+		for (const badge of badges) {
+			const liveState = getLiveStateFromBadge(
+				badge?.thumbnailBadgeViewModel?.badgeStyle,
+				textFromNode(badge?.thumbnailBadgeViewModel?.text),
+			);
+			if (liveState) {
+				return liveState;
+			}
+		}
+	}
+
+	// The first metadata text is the channel name.
+	return getLiveStateFromText(metadataTexts.slice(1));
+}
+
+function extractSearchBadges(rendererData) {
+	const badgeTexts = (rendererData.badges || []).flatMap((badge) => [
+		badge?.metadataBadgeRenderer?.style,
+		badge?.metadataBadgeRenderer?.label,
+		badge?.metadataBadgeRenderer?.tooltip,
+	]);
+	// "Includes paid promotion" is an overlay rather than a badge.
+	badgeTexts.push(
+		textFromNode(
+			rendererData.paidContentOverlay?.paidContentOverlayRenderer?.text,
+		),
+	);
+	return BadgeDetector.detectBadges(badgeTexts);
+}
+
+function extractLockupBadges(lockupViewModel) {
+	const metadataRows =
+		lockupViewModel?.metadata?.lockupMetadataViewModel?.metadata
+			?.contentMetadataViewModel?.metadataRows || [];
+	const overlays =
+		lockupViewModel?.contentImage?.thumbnailViewModel?.overlays || [];
+	const badgeTexts = [
+		...metadataRows.flatMap((row) =>
+			(row?.badges || []).flatMap((badge) => [
+				badge?.badgeViewModel?.badgeStyle,
+				badge?.badgeViewModel?.badgeText,
+				badge?.badgeViewModel?.accessibilityLabel,
+			]),
+		),
+		...overlays.flatMap((overlay) =>
+			(
+				overlay?.thumbnailBottomOverlayViewModel?.badges ||
+				overlay?.thumbnailOverlayBadgeViewModel?.badges ||
+				[]
+			).flatMap((badge) => [
+				badge?.thumbnailBadgeViewModel?.badgeStyle,
+				textFromNode(badge?.thumbnailBadgeViewModel?.text),
+			]),
+		),
+	];
+	return BadgeDetector.detectBadges(badgeTexts);
+}
+
+function normalizeWatchedPercent(value) {
+	const percent = Number(value);
+	return Number.isFinite(percent) && percent > 0
+		? Math.min(Math.round(percent), 100)
+		: null;
+}
+
+function extractSearchWatchedPercent(rendererData) {
+	for (const overlay of rendererData.thumbnailOverlays || []) {
+		const percent = normalizeWatchedPercent(
+			overlay?.thumbnailOverlayResumePlaybackRenderer?.percentDurationWatched,
+		);
+		if (percent) {
+			return percent;
+		}
+	}
+
+	return null;
+}
+
+function extractLockupWatchedPercent(lockupViewModel) {
+	const overlays =
+		lockupViewModel?.contentImage?.thumbnailViewModel?.overlays || [];
+
+	for (const overlay of overlays) {
+		const progressBar =
+			overlay?.thumbnailBottomOverlayViewModel?.progressBar
+				?.thumbnailOverlayProgressBarViewModel ||
+			overlay?.thumbnailOverlayProgressBarViewModel;
+		const percent = normalizeWatchedPercent(progressBar?.startPercent);
+		if (percent) {
+			return percent;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time, the calendar the date filter
+ * inputs use. `new Date("Mar 5, 2024")` is local midnight, which UTC
+ * getters would move to the day before east of UTC.
+ * @param {Date} date
+ * @returns {string | null}
+ */
+function toIsoDate(date) {
+	if (Number.isNaN(date.getTime())) {
+		return null;
+	}
+
+	const month = String(date.getMonth() + 1).padStart(2, "0");
+	const day = String(date.getDate()).padStart(2, "0");
+	return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Returns the exact upload date (YYYY-MM-DD) when the renderer exposes one:
+ * microformat dates, premiere start times or an absolute `dateText`.
+ * @returns {string | null}
+ */
+function extractExactUploadDate(rendererData) {
+	const isoDate = firstNonEmpty(
+		rendererData.publishDate,
+		rendererData.uploadDate,
+	);
+	if (isoDate && /^\d{4}-\d{2}-\d{2}/.test(isoDate)) {
+		return isoDate.slice(0, 10);
+	}
+
+	const startTime = Number(rendererData.upcomingEventData?.startTime);
+	if (startTime > 0) {
+		return toIsoDate(new Date(startTime * 1000));
+	}
+
+	const dateText = textFromNode(rendererData.dateText);
+	if (dateText && /\d{4}/.test(dateText)) {
+		return toIsoDate(new Date(dateText));
+	}
+
+	return null;
+}
+
 function getVideoIdFromElement(element) {
 	const explicitVideoId = element
 		?.querySelector("[data-video-id]")
@@ -181,9 +402,11 @@ function getVideoIdFromElement(element) {
 		return explicitVideoId;
 	}
 
-	const href = element
-		?.querySelector(WATCH_LINK_SELECTOR)
-		?.getAttribute("href");
+	// End-screen tiles are themselves the watch link.
+	const watchLink = element?.matches?.(WATCH_LINK_SELECTOR)
+		? element
+		: element?.querySelector(WATCH_LINK_SELECTOR);
+	const href = watchLink?.getAttribute("href");
 
 	if (!href) {
 		return null;
@@ -228,12 +451,15 @@ function isSearchRenderer(rendererData) {
 
 function extractSearchVideo(rendererData) {
 	const searchChannelInfo = getChannelInfoFromRuns(
-		rendererData.ownerText || rendererData.longBylineText,
+		rendererData.ownerText ||
+			rendererData.longBylineText ||
+			rendererData.shortBylineText,
 	);
 
 	return {
 		videoId: rendererData.videoId || null,
-		title: textFromNode(rendererData.title),
+		// reelItemRenderer (Shorts shelves) keeps its title in `headline`.
+		title: firstNonEmpty(rendererData.title, rendererData.headline),
 		duration: normalizeDurationText(rendererData.lengthText),
 		viewCount: firstNonEmpty(
 			textFromNode(rendererData.viewCountText),
@@ -243,9 +469,19 @@ function extractSearchVideo(rendererData) {
 		channelName: firstNonEmpty(
 			textFromNode(rendererData.ownerText),
 			textFromNode(rendererData.longBylineText),
+			textFromNode(rendererData.shortBylineText),
 		),
 		channelId: searchChannelInfo.channelId,
 		channelPath: searchChannelInfo.channelPath,
+		// Newer search results move the snippet into `detailedMetadataSnippets`.
+		descriptionSnippet: firstNonEmpty(
+			rendererData.descriptionSnippet,
+			rendererData.detailedMetadataSnippets?.[0]?.snippetText,
+		),
+		liveState: extractSearchLiveState(rendererData),
+		watchedPercent: extractSearchWatchedPercent(rendererData),
+		badges: extractSearchBadges(rendererData),
+		uploadDate: extractExactUploadDate(rendererData),
 	};
 }
 
@@ -267,14 +503,48 @@ function extractLockupVideo(lockupViewModel) {
 			lockupViewModel?.metadata?.lockupMetadataViewModel?.title,
 		),
 		duration: extractHomeDuration(lockupViewModel),
-		viewCount: findMetadataText(metadataTexts, /views?/i),
+		viewCount: findMetadataText(metadataTexts, LocaleParser.findViewCountText),
 		publishTime: findMetadataText(
 			metadataTexts,
-			/(streamed\s+)?\d+\s*(second|minute|hour|day|week|month|year)s?\s*ago/i,
+			LocaleParser.findPublishTimeText,
 		),
 		channelName: metadataTexts[0] || null,
 		channelId: homeChannelInfo.channelId,
 		channelPath: homeChannelInfo.channelPath,
+		liveState: extractLockupLiveState(lockupViewModel, metadataTexts),
+		watchedPercent: extractLockupWatchedPercent(lockupViewModel),
+		badges: extractLockupBadges(lockupViewModel),
+	};
+}
+
+function isShortsLockupViewModel(viewModel) {
+	return Boolean(
+		viewModel?.overlayMetadata &&
+			(viewModel.onTap?.innertubeCommand?.reelWatchEndpoint ||
+				viewModel.entityId?.startsWith("shorts-")),
+	);
+}
+
+function extractShortsLockupVideo(shortsLockupViewModel) {
+	const overlayMetadata = shortsLockupViewModel.overlayMetadata || {};
+
+	return {
+		videoId:
+			shortsLockupViewModel.onTap?.innertubeCommand?.reelWatchEndpoint
+				?.videoId || null,
+		title: firstNonEmpty(
+			overlayMetadata.primaryText,
+			shortsLockupViewModel.accessibilityText,
+		),
+		duration: null,
+		viewCount: textFromNode(overlayMetadata.secondaryText),
+		publishTime: null,
+		channelName: null,
+		channelId: null,
+		channelPath: null,
+		liveState: null,
+		watchedPercent: null,
+		isShort: true,
 	};
 }
 
@@ -283,6 +553,22 @@ function extractVideoFromRenderer(rendererData) {
 		return null;
 	}
 
+	const shortsLockupViewModel =
+		rendererData?.content?.shortsLockupViewModel ||
+		rendererData?.shortsLockupViewModel ||
+		(isShortsLockupViewModel(rendererData) ? rendererData : null);
+	if (shortsLockupViewModel) {
+		return extractShortsLockupVideo(shortsLockupViewModel);
+	}
+
+	// Watch-page sidebar items wrap the same fields in `compactVideoRenderer`.
+	const compactVideoRenderer =
+		rendererData?.content?.compactVideoRenderer ||
+		rendererData?.compactVideoRenderer;
+	if (compactVideoRenderer) {
+		return extractSearchVideo(compactVideoRenderer);
+	}
+
 	if (isSearchRenderer(rendererData)) {
 		return extractSearchVideo(rendererData);
 	}
@@ -318,7 +604,9 @@ if (typeof window !== "undefined") {
 	window.YouTubeDataExtractor = {
 		extractFromYTInitialData,
 		extractVideoFromRenderer,
+		getLiveStateFromText,
 		getVideoDataForElement,
 		getVideoIdFromElement,
+		toIsoDate,
 	};
 }
@@ -1,12 +1,50 @@
-const FILTER_STAT_DEFAULTS = {
-	views: 0,
-	keywords: 0,
-	duration: 0,
-	age: 0,
-	language: 0,
-	total: 0,
+const TOTAL_STAT_TILE = { id: "total", label: "Total" };
+// Hidden shelves and sections aren't registry filters but have their own tile.
+const SHELVES_STAT_TILE = { id: "shelves", label: "Sections" };
+const GET_PREVIEW_COUNTS_ACTION = "getPreviewCounts";
+const DISPLAY_MODE_OPTIONS = [
+	{ value: "remove", label: "Remove" },
+	{ value: "dim", label: "Dim" },
+	{ value: "blur", label: "Blur" },
+	{ value: "collapse", label: "Collapse" },
+];
+const DISPLAY_MODES_STORAGE_DEFAULTS = {
+	defaultDisplayMode: "remove",
+	displayModes: {},
 };
 const KEYWORD_STORAGE_DEFAULTS = { keywords: [] };
+const KEYWORD_LISTS = {
+	keywords: {
+		inputId: "newKeyword",
+		modeId: "newKeywordMode",
+		caseSensitiveId: "newKeywordCaseSensitive",
+		exactId: "newKeywordExact",
+		actionId: "newKeywordAction",
+		muteForId: "newKeywordMuteFor",
+		muteUntilId: "newKeywordMuteUntil",
+		fieldsId: "newKeywordFields",
+		buttonId: "addKeywordButton",
+		errorId: "keywordError",
+		listId: "keywordsList",
+	},
+	allowKeywords: {
+		inputId: "newAllowKeyword",
+		modeId: "newAllowKeywordMode",
+		caseSensitiveId: "newAllowKeywordCaseSensitive",
+		exactId: "newAllowKeywordExact",
+		fieldsId: "newAllowKeywordFields",
+		buttonId: "addAllowKeywordButton",
+		errorId: "allowKeywordError",
+		listId: "allowKeywordsList",
+	},
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const BLOCKED_CHANNELS_STORAGE_DEFAULTS = { blockedChannels: [] };
+const CUSTOM_RULES_STORAGE_DEFAULTS = { customRules: [] };
+// Groups live in local storage: a few long lists outgrow the sync quota.
+const KEYWORD_GROUPS_STORAGE_DEFAULTS = { keywordGroups: [] };
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
 const SUBSCRIPTIONS_PAGE_URL = "https://www.youtube.com/feed/channels";
 const SUBSCRIPTIONS_PAGE_MATCH = "youtube.com/feed/channels";
 const EXTRACTION_TIMEOUT_MS = 45000;
@@ -79,8 +117,170 @@ function normalizeSubscriptionRecord(channel) {
 	};
 }
 
-function renderKeywords(keywords) {
-	const keywordsList = getElement("keywordsList");
+function getChannelRecordKey(channel) {
+	return (
+		channel?.channelId ||
+		channel?.channelPath?.toLowerCase() ||
+		channel?.name?.toLowerCase() ||
+		null
+	);
+}
+
+/**
+ * Parses a UC id, @handle, channel URL or plain name into a channel record.
+ * @param {string} value
+ * @returns {{name: string | null, channelId: string | null, channelPath: string | null} | null}
+ */
+function parseChannelInput(value) {
+	const input = value.trim();
+	if (!input) {
+		return null;
+	}
+
+	if (CHANNEL_ID_PATTERN.test(input)) {
+		return {
+			name: null,
+			channelId: input,
+			channelPath: `/channel/${input}`,
+		};
+	}
+
+	if (input.startsWith("@")) {
+		return { name: null, channelId: null, channelPath: `/${input}` };
+	}
+
+	if (input.includes("/@") || input.includes("/channel/")) {
+		try {
+			const url = new URL(input, "https://www.youtube.com");
+			const channelPath = url.pathname.split("/").slice(0, 3).join("/");
+			const channelId = channelPath.startsWith("/channel/")
+				? channelPath.slice("/channel/".length)
+				: null;
+			return { name: null, channelId, channelPath };
+		} catch {
+			return null;
+		}
+	}
+
+	return { name: input, channelId: null, channelPath: null };
+}
+
+function renderBlockedChannels(channels) {
+	const blockedChannelsList = getElement("blockedChannelsList");
+	if (!blockedChannelsList) {
+		return;
+	}
+
+	blockedChannelsList.innerHTML = "";
+	const fragment = document.createDocumentFragment();
+
+	for (const channel of channels) {
+		const record = normalizeSubscriptionRecord(channel);
+		const channelElement = document.createElement("div");
+		channelElement.className = "subscription-item blocked-channel";
+
+		const details = document.createElement("div");
+		const name = document.createElement("strong");
+		name.textContent = record.name;
+		details.appendChild(name);
+
+		const meta = [record.channelPath, record.channelId]
+			.filter(Boolean)
+			.join(" • ");
+		if (meta) {
+			const metaElement = document.createElement("div");
+			metaElement.className = "meta";
+			metaElement.textContent = meta;
+			details.appendChild(metaElement);
+		}
+
+		const removeButton = document.createElement("button");
+		removeButton.type = "button";
+		removeButton.className = "secondary";
+		removeButton.textContent = "Unblock";
+		removeButton.addEventListener("click", () =>
+			removeBlockedChannel(getChannelRecordKey(channel)),
+		);
+
+		channelElement.append(details, removeButton);
+		fragment.appendChild(channelElement);
+	}
+
+	blockedChannelsList.appendChild(fragment);
+}
+
+function addBlockedChannel() {
+	const channelInput = getElement("newBlockedChannel");
+	const record = parseChannelInput(channelInput.value);
+	if (!record) {
+		return;
+	}
+
+	chrome.storage.sync.get(BLOCKED_CHANNELS_STORAGE_DEFAULTS, (result) => {
+		const recordKey = getChannelRecordKey(record);
+		if (
+			result.blockedChannels.some(
+				(channel) => getChannelRecordKey(channel) === recordKey,
+			)
+		) {
+			channelInput.value = "";
+			return;
+		}
+
+		const blockedChannels = [...result.blockedChannels, record];
+		chrome.storage.sync.set({ blockedChannels }, () => {
+			renderBlockedChannels(blockedChannels);
+			channelInput.value = "";
+		});
+	});
+}
+
+function removeBlockedChannel(recordKey) {
+	chrome.storage.sync.get(BLOCKED_CHANNELS_STORAGE_DEFAULTS, (result) => {
+		const blockedChannels = result.blockedChannels.filter(
+			(channel) => getChannelRecordKey(channel) !== recordKey,
+		);
+		chrome.storage.sync.set({ blockedChannels }, () => {
+			renderBlockedChannels(blockedChannels);
+		});
+	});
+}
+
+function getKeywordListConfig(listKey) {
+	return KEYWORD_LISTS[listKey] || KEYWORD_LISTS.keywords;
+}
+
+function setKeywordError(message, listKey = "keywords") {
+	const config = getKeywordListConfig(listKey);
+	const errorElement = getElement(config.errorId);
+	if (errorElement) {
+		errorElement.textContent = message || "";
+	}
+
+	getElement(config.inputId)?.classList.toggle("invalid", Boolean(message));
+}
+
+/**
+ * Time left on a temporary mute, e.g. "13d left", "5h left".
+ * @returns {string}
+ */
+function formatMuteRemaining(expiresAt, now = Date.now()) {
+	const remaining = expiresAt - now;
+	if (remaining <= 0) {
+		return "expired";
+	}
+	if (remaining >= 2 * DAY_MS) {
+		return `${Math.floor(remaining / DAY_MS)}d left`;
+	}
+	if (remaining >= HOUR_MS) {
+		return `${Math.floor(remaining / HOUR_MS)}h left`;
+	}
+
+	return `${Math.max(Math.ceil(remaining / 60000), 1)}m left`;
+}
+
+function renderKeywords(keywords, listKey = "keywords") {
+	const keywordsList = getElement(getKeywordListConfig(listKey).listId);
 	if (!keywordsList) {
 		return;
 	}
@@ -89,13 +289,47 @@ function renderKeywords(keywords) {
 	const fragment = document.createDocumentFragment();
 
 	for (const keyword of keywords) {
+		const entry = KeywordMatcher.normalizeKeywordEntry(keyword);
+		if (!entry) {
+			continue;
+		}
+
 		const keywordElement = document.createElement("span");
 		keywordElement.className = "keyword-item";
-		keywordElement.appendChild(document.createTextNode(keyword));
+		keywordElement.appendChild(document.createTextNode(entry.text));
+
+		if (
+			entry.mode !== "substring" ||
+			entry.caseSensitive ||
+			entry.exact ||
+			entry.action !== "hide" ||
+			entry.fields.join() !== KeywordMatcher.DEFAULT_KEYWORD_FIELDS.join()
+		) {
+			const modeElement = document.createElement("span");
+			modeElement.className = "mode";
+			modeElement.textContent = KeywordMatcher.describeKeywordEntry(entry);
+			keywordElement.appendChild(modeElement);
+		}
+
+		if (entry.expiresAt !== null) {
+			const expiresElement = document.createElement("span");
+			expiresElement.className = "expires";
+			expiresElement.textContent = formatMuteRemaining(entry.expiresAt);
+			expiresElement.title = `Muted until ${new Date(entry.expiresAt).toLocaleString()}`;
+			keywordElement.appendChild(expiresElement);
+		}
+
+		const validationError = KeywordMatcher.validateKeywordEntry(entry);
+		if (validationError) {
+			keywordElement.classList.add("invalid");
+			keywordElement.title = validationError;
+		}
 
 		const removeButton = document.createElement("button");
 		removeButton.textContent = "×";
-		removeButton.addEventListener("click", () => removeKeyword(keyword));
+		removeButton.addEventListener("click", () =>
+			removeKeyword(KeywordMatcher.getKeywordEntryKey(entry), listKey),
+		);
 		keywordElement.appendChild(removeButton);
 		fragment.appendChild(keywordElement);
 	}
@@ -103,6 +337,321 @@ function renderKeywords(keywords) {
 	keywordsList.appendChild(fragment);
 }
 
+function setRuleError(message) {
+	const errorElement = getElement("ruleError");
+	if (errorElement) {
+		errorElement.textContent = message || "";
+	}
+
+	getElement("newRuleExpression")?.classList.toggle(
+		"invalid",
+		Boolean(message),
+	);
+}
+
+function renderCustomRules(rules) {
+	const rulesList = getElement("customRulesList");
+	if (!rulesList) {
+		return;
+	}
+
+	rulesList.innerHTML = "";
+	const fragment = document.createDocumentFragment();
+
+	for (const [index, rule] of rules.entries()) {
+		const ruleElement = document.createElement("div");
+		ruleElement.className = "rule-item";
+
+		const enabledInput = document.createElement("input");
+		enabledInput.type = "checkbox";
+		enabledInput.checked = rule.enabled !== false;
+		enabledInput.title = "Enable rule";
+		enabledInput.addEventListener("change", () =>
+			updateCustomRule(rule.id, { enabled: enabledInput.checked }),
+		);
+
+		const details = document.createElement("div");
+		const name = document.createElement("strong");
+		name.textContent = rule.name || "Untitled rule";
+		const action = document.createElement("span");
+		action.className = "action";
+		action.textContent = rule.action;
+		const expression = document.createElement("code");
+		expression.textContent = rule.expression;
+		details.append(name, action, expression);
+
+		const validationError = FilterRuleEngine.validateRule(rule);
+		if (validationError) {
+			ruleElement.classList.add("invalid");
+			ruleElement.title = validationError;
+		}
+
+		const actions = document.createElement("div");
+		const moveUpButton = document.createElement("button");
+		moveUpButton.type = "button";
+		moveUpButton.className = "secondary";
+		moveUpButton.textContent = "↑";
+		moveUpButton.title = "Run earlier";
+		moveUpButton.disabled = index === 0;
+		moveUpButton.addEventListener("click", () => moveCustomRule(rule.id, -1));
+
+		const moveDownButton = document.createElement("button");
+		moveDownButton.type = "button";
+		moveDownButton.className = "secondary";
+		moveDownButton.textContent = "↓";
+		moveDownButton.title = "Run later";
+		moveDownButton.disabled = index === rules.length - 1;
+		moveDownButton.addEventListener("click", () => moveCustomRule(rule.id, 1));
+
+		const removeButton = document.createElement("button");
+		removeButton.type = "button";
+		removeButton.className = "secondary";
+		removeButton.textContent = "×";
+		removeButton.title = "Remove rule";
+		removeButton.addEventListener("click", () => removeCustomRule(rule.id));
+
+		actions.append(moveUpButton, moveDownButton, removeButton);
+		ruleElement.append(enabledInput, details, actions);
+		fragment.appendChild(ruleElement);
+	}
+
+	rulesList.appendChild(fragment);
+}
+
+function validateRuleInput() {
+	const expression = getElement("newRuleExpression").value;
+	setRuleError(
+		expression.trim() ? FilterRuleEngine.validateRule({ expression }) : null,
+	);
+}
+
+function addCustomRule() {
+	const nameInput = getElement("newRuleName");
+	const expressionInput = getElement("newRuleExpression");
+	const rule = {
+		id: `rule-${Date.now().toString(36)}`,
+		name: nameInput.value.trim(),
+		expression: expressionInput.value.trim(),
+		action: getElement("newRuleAction").value,
+		enabled: true,
+	};
+
+	const validationError = FilterRuleEngine.validateRule(rule);
+	if (validationError) {
+		setRuleError(validationError);
+		return;
+	}
+
+	setRuleError(null);
+	chrome.storage.sync.get(CUSTOM_RULES_STORAGE_DEFAULTS, (result) => {
+		const customRules = [...result.customRules, rule];
+		chrome.storage.sync.set({ customRules }, () => {
+			renderCustomRules(customRules);
+			nameInput.value = "";
+			expressionInput.value = "";
+		});
+	});
+}
+
+function updateCustomRule(ruleId, changes) {
+	chrome.storage.sync.get(CUSTOM_RULES_STORAGE_DEFAULTS, (result) => {
+		const customRules = result.customRules.map((rule) =>
+			rule.id === ruleId ? { ...rule, ...changes } : rule,
+		);
+		chrome.storage.sync.set({ customRules }, () => {
+			renderCustomRules(customRules);
+		});
+	});
+}
+
+/**
+ * Moves a rule up (-1) or down (1); the first matching rule wins.
+ */
+function moveCustomRule(ruleId, offset) {
+	chrome.storage.sync.get(CUSTOM_RULES_STORAGE_DEFAULTS, (result) => {
+		const customRules = [...result.customRules];
+		const index = customRules.findIndex((rule) => rule.id === ruleId);
+		const targetIndex = index + offset;
+		if (index === -1 || targetIndex < 0 || targetIndex >= customRules.length) {
+			return;
+		}
+
+		[customRules[index], customRules[targetIndex]] = [
+			customRules[targetIndex],
+			customRules[index],
+		];
+		chrome.storage.sync.set({ customRules }, () => {
+			renderCustomRules(customRules);
+		});
+	});
+}
+
+function removeCustomRule(ruleId) {
+	chrome.storage.sync.get(CUSTOM_RULES_STORAGE_DEFAULTS, (result) => {
+		const customRules = result.customRules.filter((rule) => rule.id !== ruleId);
+		chrome.storage.sync.set({ customRules }, () => {
+			renderCustomRules(customRules);
+		});
+	});
+}
+
+function createDisplayModeRow(id, labelText, value, options) {
+	const row = document.createElement("div");
+	row.className = "input-row";
+
+	const label = document.createElement("label");
+	label.htmlFor = id;
+	label.textContent = labelText;
+
+	const select = document.createElement("select");
+	select.id = id;
+	for (const option of options) {
+		select.add(new Option(option.label, option.value));
+	}
+	select.value = value;
+
+	row.append(label, select);
+	return { row, select };
+}
+
+/**
+ * Renders the default display mode and one override per hide filter published
+ * by the content script registry.
+ * @param {Array<{id: string, label: string, action?: string}>} filters
+ * @param {typeof DISPLAY_MODES_STORAGE_DEFAULTS} settings
+ */
+function renderDisplayModes(filters, settings) {
+	const displayModesList = getElement("displayModesList");
+	if (!displayModesList) {
+		return;
+	}
+
+	displayModesList.innerHTML = "";
+	const fragment = document.createDocumentFragment();
+
+	const defaultRow = createDisplayModeRow(
+		"defaultDisplayMode",
+		"Default",
+		settings.defaultDisplayMode,
+		DISPLAY_MODE_OPTIONS,
+	);
+	defaultRow.select.addEventListener("change", () => {
+		chrome.storage.sync.set({ defaultDisplayMode: defaultRow.select.value });
+	});
+	fragment.appendChild(defaultRow.row);
+
+	for (const filter of filters) {
+		if (filter.action === "keep") {
+			continue;
+		}
+
+		const { row, select } = createDisplayModeRow(
+			`displayMode-${filter.id}`,
+			filter.label,
+			settings.displayModes?.[filter.id] || "",
+			[{ value: "", label: "Default" }, ...DISPLAY_MODE_OPTIONS],
+		);
+		select.addEventListener("change", () =>
+			updateDisplayMode(filter.id, select.value),
+		);
+		fragment.appendChild(row);
+	}
+
+	displayModesList.appendChild(fragment);
+}
+
+function updateDisplayMode(filterId, displayMode) {
+	chrome.storage.sync.get(DISPLAY_MODES_STORAGE_DEFAULTS, (result) => {
+		const displayModes = { ...result.displayModes };
+		if (displayMode) {
+			displayModes[filterId] = displayMode;
+		} else {
+			delete displayModes[filterId];
+		}
+
+		chrome.storage.sync.set({ displayModes });
+	});
+}
+
+function loadDisplayModes() {
+	chrome.storage.sync.get(DISPLAY_MODES_STORAGE_DEFAULTS, (settings) => {
+		chrome.storage.local.get(["filterRegistry"], (result) => {
+			renderDisplayModes(result.filterRegistry || [], settings);
+		});
+	});
+}
+
+/**
+ * Renders one checkbox per detectable title language.
+ * @param {string[]} allowedLanguages
+ */
+function renderAllowedLanguages(allowedLanguages) {
+	const container = getElement("allowedLanguages");
+	if (!container) {
+		return;
+	}
+
+	container.innerHTML = "";
+	for (const [code, name] of Object.entries(
+		LanguageDetector.TITLE_LANGUAGE_LABELS,
+	)) {
+		const label = document.createElement("label");
+		const checkbox = document.createElement("input");
+		checkbox.type = "checkbox";
+		checkbox.value = code;
+		checkbox.checked = allowedLanguages.includes(code);
+		label.append(checkbox, name);
+		container.appendChild(label);
+	}
+}
+
+function getAllowedLanguages() {
+	return [...document.querySelectorAll("#allowedLanguages input:checked")].map(
+		(checkbox) => checkbox.value,
+	);
+}
+
+/**
+ * Renders a show/hide/require select per detectable badge.
+ * @param {string[]} hiddenBadges
+ * @param {string[]} requiredBadges
+ */
+function renderBadgeRules(hiddenBadges, requiredBadges) {
+	const container = getElement("badgeRules");
+	if (!container) {
+		return;
+	}
+
+	container.innerHTML = "";
+	for (const [badge, name] of Object.entries(
+		BadgeDetector.VIDEO_BADGE_LABELS,
+	)) {
+		const label = document.createElement("label");
+		const select = document.createElement("select");
+		select.dataset.badge = badge;
+		for (const [value, text] of [
+			["show", "Show"],
+			["hide", "Hide"],
+			["require", "Require"],
+		]) {
+			select.appendChild(new Option(text, value));
+		}
+		select.value = hiddenBadges.includes(badge)
+			? "hide"
+			: requiredBadges.includes(badge)
+				? "require"
+				: "show";
+		label.append(name, select);
+		container.appendChild(label);
+	}
+}
+
+function getBadgeRules(action) {
+	return [...document.querySelectorAll("#badgeRules select")]
+		.filter((select) => select.value === action)
+		.map((select) => select.dataset.badge);
+}
+
 function loadSettings() {
 	chrome.storage.sync.get(DEFAULT_SETTINGS, (settings) => {
 		getElement("viewsFilterEnabled").checked = settings.viewsFilterEnabled;
@@ -110,16 +659,71 @@ function loadSettings() {
 			settings.durationFilterEnabled;
 		getElement("keywordFilterEnabled").checked = settings.keywordFilterEnabled;
 		getElement("ageFilterEnabled").checked = settings.ageFilterEnabled;
-		getElement("englishOnlyTitles").checked = Boolean(
-			settings.englishOnlyTitles,
+		const languageSettings =
+			LanguageDetector.getLanguageFilterSettings(settings);
+		getElement("languageFilterEnabled").checked = languageSettings.enabled;
+		renderAllowedLanguages(languageSettings.allowedLanguages);
+		getElement("mixedLanguagePolicy").value =
+			languageSettings.mixedLanguagePolicy;
+		getElement("unknownLanguagePolicy").value =
+			languageSettings.unknownLanguagePolicy;
+		getElement("clickbaitFilterEnabled").checked =
+			settings.clickbaitFilterEnabled;
+		getElement("clickbaitThreshold").value = settings.clickbaitThreshold;
+		getElement("badgeFilterEnabled").checked = settings.badgeFilterEnabled;
+		renderBadgeRules(
+			BadgeDetector.normalizeBadgeList(settings.hiddenBadges),
+			BadgeDetector.normalizeBadgeList(settings.requiredBadges),
 		);
+		getElement("previewMode").checked = Boolean(settings.previewMode);
+		getElement("allowKeywordFilterEnabled").checked =
+			settings.allowKeywordFilterEnabled;
 		getElement("preserveSubscribedChannels").checked =
 			settings.preserveSubscribedChannels;
+		getElement("channelBlockFilterEnabled").checked =
+			settings.channelBlockFilterEnabled;
+		getElement("watchedFilterEnabled").checked = settings.watchedFilterEnabled;
+		getElement("maxWatchedPercent").value = settings.maxWatchedPercent;
+		getElement("partiallyWatchedMode").value = settings.partiallyWatchedMode;
+		getElement("hideLiveNow").checked = settings.hideLiveNow;
+		getElement("hideUpcoming").checked = settings.hideUpcoming;
+		getElement("hidePastStreams").checked = settings.hidePastStreams;
+		getElement("hideNewsShelves").checked = settings.hideNewsShelves;
+		getElement("hidePostsShelves").checked = settings.hidePostsShelves;
+		getElement("hideMixShelves").checked = settings.hideMixShelves;
+		getElement("hideExploreTopicsShelves").checked =
+			settings.hideExploreTopicsShelves;
+		getElement("hidePeopleAlsoWatchedShelves").checked =
+			settings.hidePeopleAlsoWatchedShelves;
+		getElement("hideAdSlots").checked = settings.hideAdSlots;
+		getElement("hideMovieShelves").checked = settings.hideMovieShelves;
+		getElement("shortsMode").value = settings.shortsMode;
+		getElement("autoplayGuardMode").value = settings.autoplayGuardMode;
 		getElement("minViews").value = settings.minViews;
+		getElement("viewsPerDayFilterEnabled").checked =
+			settings.viewsPerDayFilterEnabled;
+		getElement("minViewsPerDay").value = settings.minViewsPerDay;
+		getElement("viewsPerDayMode").value = settings.viewsPerDayMode;
 		getElement("minDuration").value = settings.minDuration;
 		getElement("maxDuration").value = settings.maxDuration;
-		getElement("maxAgeYears").value = settings.maxAgeYears;
+		// Settings saved before age units existed only have maxAgeYears.
+		const hasMaxAgeAmount = typeof settings.maxAgeAmount === "number";
+		getElement("maxAgeAmount").value = hasMaxAgeAmount
+			? settings.maxAgeAmount
+			: (settings.maxAgeYears ?? settings.maxAge ?? 0);
+		getElement("maxAgeUnit").value = hasMaxAgeAmount
+			? settings.maxAgeUnit
+			: "years";
+		getElement("minAgeAmount").value = settings.minAgeAmount;
+		getElement("uploadDateFilterEnabled").checked =
+			settings.uploadDateFilterEnabled;
+		getElement("uploadedAfter").value = settings.uploadedAfter;
+		getElement("uploadedBefore").value = settings.uploadedBefore;
+		getElement("minAgeUnit").value = settings.minAgeUnit;
 		renderKeywords(settings.keywords || []);
+		renderKeywords(settings.allowKeywords || [], "allowKeywords");
+		renderBlockedChannels(settings.blockedChannels || []);
+		renderCustomRules(settings.customRules || []);
 	});
 }
 
@@ -270,49 +874,430 @@ function displaySubscriptionsFromStorage() {
 	});
 }
 
-function addKeyword() {
-	const keywordInput = getElement("newKeyword");
-	const keyword = keywordInput.value.trim().toLowerCase();
-	if (!keyword) {
+/**
+ * Reads the mute expiry picked in a keyword editor: a number of days, or
+ * the end of a chosen day. Null for permanent keywords.
+ * @returns {number | null}
+ */
+function readKeywordExpiry(config) {
+	const muteFor = getElement(config.muteForId)?.value;
+	if (!muteFor) {
+		return null;
+	}
+
+	if (muteFor === "date") {
+		const muteUntil = getElement(config.muteUntilId)?.value;
+		return muteUntil ? new Date(`${muteUntil}T23:59:59`).getTime() : null;
+	}
+
+	return Date.now() + Number(muteFor) * DAY_MS;
+}
+
+/**
+ * Reads a keyword editor into a keyword rule.
+ * Case-insensitive plain keywords are lowercased; regex sources are kept as typed.
+ * @returns {{text: string, mode: string, caseSensitive: boolean, exact: boolean, fields: string[], expiresAt: number | null, action: string} | null}
+ */
+function readKeywordInput(listKey = "keywords") {
+	const config = getKeywordListConfig(listKey);
+	const mode = getElement(config.modeId)?.value || "substring";
+	const caseSensitive = getCheckboxValue(config.caseSensitiveId);
+	const exact = getCheckboxValue(config.exactId);
+	const fields = [
+		...document.querySelectorAll(`#${config.fieldsId} input:checked`),
+	].map((checkbox) => checkbox.value);
+	const rawText = getElement(config.inputId).value;
+	const text =
+		mode === "regex" || caseSensitive
+			? rawText.trim()
+			: rawText.trim().toLowerCase();
+
+	return KeywordMatcher.normalizeKeywordEntry({
+		text,
+		mode,
+		caseSensitive,
+		exact,
+		fields,
+		expiresAt: readKeywordExpiry(config),
+		action: getElement(config.actionId)?.value || "hide",
+	});
+}
+
+function validateKeywordInput(listKey = "keywords") {
+	const keywordInput = getElement(getKeywordListConfig(listKey).inputId);
+	if (!keywordInput.value.trim()) {
+		setKeywordError(null, listKey);
 		return;
 	}
 
-	chrome.storage.sync.get(KEYWORD_STORAGE_DEFAULTS, (result) => {
-		if (result.keywords.includes(keyword)) {
-			return;
-		}
+	setKeywordError(
+		KeywordMatcher.validateKeywordEntry(readKeywordInput(listKey)),
+		listKey,
+	);
+}
 
-		const keywords = [...result.keywords, keyword];
-		chrome.storage.sync.set({ keywords }, () => {
-			renderKeywords(keywords);
+function addKeyword(listKey = "keywords") {
+	const keywordInput = getElement(getKeywordListConfig(listKey).inputId);
+	const entry = readKeywordInput(listKey);
+	if (!entry) {
+		return;
+	}
+
+	const validationError = KeywordMatcher.validateKeywordEntry(entry);
+	if (validationError) {
+		setKeywordError(validationError, listKey);
+		return;
+	}
+
+	setKeywordError(null, listKey);
+	const entryKey = KeywordMatcher.getKeywordEntryKey(entry);
+
+	chrome.storage.sync.get({ [listKey]: [] }, (result) => {
+		// Re-adding a keyword replaces it, so a mute can be extended or made
+		// permanent.
+		const keywords = [
+			...result[listKey].filter(
+				(keyword) => KeywordMatcher.getKeywordEntryKey(keyword) !== entryKey,
+			),
+			KeywordMatcher.compactKeywordEntry(entry),
+		];
+		chrome.storage.sync.set({ [listKey]: keywords }, () => {
+			renderKeywords(keywords, listKey);
 			keywordInput.value = "";
 		});
 	});
 }
 
-function removeKeyword(keyword) {
-	chrome.storage.sync.get(KEYWORD_STORAGE_DEFAULTS, (result) => {
-		const keywords = result.keywords.filter(
-			(storedKeyword) => storedKeyword !== keyword,
+function removeKeyword(entryKey, listKey = "keywords") {
+	chrome.storage.sync.get({ [listKey]: [] }, (result) => {
+		const keywords = result[listKey].filter(
+			(storedKeyword) =>
+				KeywordMatcher.getKeywordEntryKey(storedKeyword) !== entryKey,
 		);
-		chrome.storage.sync.set({ keywords }, () => {
-			renderKeywords(keywords);
+		chrome.storage.sync.set({ [listKey]: keywords }, () => {
+			renderKeywords(keywords, listKey);
+		});
+	});
+}
+
+function renderKeywordFieldOptions(listKey) {
+	const container = getElement(getKeywordListConfig(listKey).fieldsId);
+	if (!container) {
+		return;
+	}
+
+	container.innerHTML = "";
+	for (const field of KeywordMatcher.KEYWORD_MATCH_FIELDS) {
+		const label = document.createElement("label");
+		const checkbox = document.createElement("input");
+		checkbox.type = "checkbox";
+		checkbox.value = field;
+		checkbox.checked = KeywordMatcher.DEFAULT_KEYWORD_FIELDS.includes(field);
+		label.append(checkbox, KeywordMatcher.KEYWORD_FIELD_LABELS[field]);
+		container.appendChild(label);
+	}
+}
+
+function bindKeywordEditor(listKey) {
+	const config = getKeywordListConfig(listKey);
+	const validate = () => validateKeywordInput(listKey);
+
+	renderKeywordFieldOptions(listKey);
+	getElement(config.buttonId).addEventListener("click", () =>
+		addKeyword(listKey),
+	);
+	getElement(config.inputId).addEventListener("input", validate);
+	getElement(config.modeId).addEventListener("change", validate);
+	getElement(config.caseSensitiveId).addEventListener("change", validate);
+	getElement(config.exactId).addEventListener("change", validate);
+
+	const muteForSelect = getElement(config.muteForId);
+	muteForSelect?.addEventListener("change", () => {
+		getElement(config.muteUntilId).hidden = muteForSelect.value !== "date";
+	});
+}
+
+function setKeywordGroupStatus(message, isError = false) {
+	const errorElement = getElement("keywordGroupError");
+	const statusElement = getElement("keywordGroupStatus");
+	errorElement.textContent = isError ? message : "";
+	statusElement.textContent = isError ? "" : message || "";
+}
+
+/**
+ * Reads pasted keywords: one per line, or JSON as exported (a group, a list
+ * of groups, {keywordGroups: [...]}, or a plain keyword list).
+ * @returns {Array<{name: string, keywords: Array<string | Object>}>}
+ */
+function parseKeywordGroupImport(text, fallbackName) {
+	const trimmedText = text.trim();
+	if (!/^[[{]/.test(trimmedText)) {
+		const keywords = trimmedText
+			.split(/\r?\n/)
+			.map((line) => line.trim().toLowerCase())
+			.filter(Boolean);
+		return [{ name: fallbackName, keywords }];
+	}
+
+	const data = JSON.parse(trimmedText);
+	const items = Array.isArray(data) ? data : data.keywordGroups || [data];
+	if (items.every((item) => !Array.isArray(item?.keywords))) {
+		return [{ name: fallbackName, keywords: items }];
+	}
+
+	return items
+		.filter((item) => Array.isArray(item?.keywords))
+		.map((item) => ({
+			name: String(item.name || fallbackName).trim(),
+			keywords: item.keywords,
+			enabled: item.enabled,
+		}));
+}
+
+function importKeywordGroups() {
+	const nameInput = getElement("newKeywordGroupName");
+	const keywordsInput = getElement("newKeywordGroupKeywords");
+	const fallbackName = nameInput.value.trim();
+	let importedGroups;
+
+	try {
+		importedGroups = parseKeywordGroupImport(keywordsInput.value, fallbackName);
+	} catch (error) {
+		setKeywordGroupStatus(`Invalid JSON: ${error.message}`, true);
+		return;
+	}
+
+	if (importedGroups.some((group) => !group.name)) {
+		setKeywordGroupStatus("Enter a group name", true);
+		return;
+	}
+
+	chrome.storage.local.get(KEYWORD_GROUPS_STORAGE_DEFAULTS, (result) => {
+		const keywordGroups = [...result.keywordGroups];
+		const summaries = [];
+
+		for (const importedGroup of importedGroups) {
+			const validKeywords = importedGroup.keywords
+				.map((keyword) => KeywordMatcher.compactKeywordEntry(keyword))
+				.filter(
+					(keyword) => keyword && !KeywordMatcher.validateKeywordEntry(keyword),
+				);
+			const groupIndex = keywordGroups.findIndex(
+				(group) =>
+					group.name.toLowerCase() === importedGroup.name.toLowerCase(),
+			);
+			const existingGroup = keywordGroups[groupIndex] || {
+				id: `group-${Date.now().toString(36)}-${keywordGroups.length}`,
+				name: importedGroup.name,
+				enabled: importedGroup.enabled !== false,
+				keywords: [],
+			};
+			const { keywords, duplicates } = KeywordMatcher.dedupeKeywords([
+				...existingGroup.keywords,
+				...validKeywords,
+			]);
+			const group = { ...existingGroup, keywords };
+
+			if (groupIndex === -1) {
+				keywordGroups.push(group);
+			} else {
+				keywordGroups[groupIndex] = group;
+			}
+
+			const skipped = [
+				duplicates && `${duplicates} duplicate(s)`,
+				importedGroup.keywords.length - validKeywords.length &&
+					`${importedGroup.keywords.length - validKeywords.length} invalid`,
+			].filter(Boolean);
+			summaries.push(
+				`${group.name}: added ${keywords.length - existingGroup.keywords.length}${skipped.length ? `, skipped ${skipped.join(", ")}` : ""}`,
+			);
+		}
+
+		chrome.storage.local.set({ keywordGroups }, () => {
+			if (chrome.runtime.lastError) {
+				setKeywordGroupStatus(chrome.runtime.lastError.message, true);
+				return;
+			}
+
+			renderKeywordGroups(keywordGroups);
+			setKeywordGroupStatus(summaries.join("; "));
+			nameInput.value = "";
+			keywordsInput.value = "";
 		});
 	});
 }
 
+function updateKeywordGroup(groupId, changes) {
+	chrome.storage.local.get(KEYWORD_GROUPS_STORAGE_DEFAULTS, (result) => {
+		const keywordGroups = result.keywordGroups.map((group) =>
+			group.id === groupId ? { ...group, ...changes } : group,
+		);
+		chrome.storage.local.set({ keywordGroups }, () => {
+			renderKeywordGroups(keywordGroups);
+		});
+	});
+}
+
+function removeKeywordGroup(groupId) {
+	chrome.storage.local.get(KEYWORD_GROUPS_STORAGE_DEFAULTS, (result) => {
+		const keywordGroups = result.keywordGroups.filter(
+			(group) => group.id !== groupId,
+		);
+		chrome.storage.local.set({ keywordGroups }, () => {
+			renderKeywordGroups(keywordGroups);
+		});
+	});
+}
+
+function downloadFile(filename, content, type) {
+	const url = URL.createObjectURL(new Blob([content], { type }));
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = filename;
+	link.click();
+	URL.revokeObjectURL(url);
+}
+
+function getKeywordGroupFilename(name, extension) {
+	const slug = name
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}]+/gu, "-")
+		.replace(/^-|-$/g, "");
+	return `${slug || "keywords"}.${extension}`;
+}
+
+/**
+ * Exports one group as plain text, one keyword per line. Keywords with
+ * options (mode, fields, mutes, ...) only survive the JSON export.
+ */
+function exportKeywordGroupText(group) {
+	const lines = group.keywords
+		.map((keyword) => KeywordMatcher.normalizeKeywordEntry(keyword)?.text)
+		.filter(Boolean);
+	downloadFile(
+		getKeywordGroupFilename(group.name, "txt"),
+		`${lines.join("\n")}\n`,
+		"text/plain",
+	);
+}
+
+function exportKeywordGroupsJson() {
+	chrome.storage.local.get(KEYWORD_GROUPS_STORAGE_DEFAULTS, (result) => {
+		downloadFile(
+			"keyword-groups.json",
+			JSON.stringify({ keywordGroups: result.keywordGroups }, null, 2),
+			"application/json",
+		);
+	});
+}
+
+function loadKeywordGroups() {
+	chrome.storage.local.get(KEYWORD_GROUPS_STORAGE_DEFAULTS, (result) => {
+		renderKeywordGroups(result.keywordGroups);
+	});
+}
+
+function renderKeywordGroups(keywordGroups) {
+	const groupsList = getElement("keywordGroupsList");
+	if (!groupsList) {
+		return;
+	}
+
+	groupsList.innerHTML = "";
+	const fragment = document.createDocumentFragment();
+
+	for (const group of keywordGroups) {
+		const groupElement = document.createElement("div");
+		groupElement.className = "rule-item";
+
+		const enabledInput = document.createElement("input");
+		enabledInput.type = "checkbox";
+		enabledInput.checked = group.enabled !== false;
+		enabledInput.title = "Enable group";
+		enabledInput.addEventListener("change", () =>
+			updateKeywordGroup(group.id, { enabled: enabledInput.checked }),
+		);
+
+		const details = document.createElement("div");
+		const name = document.createElement("strong");
+		name.textContent = group.name;
+		const count = document.createElement("code");
+		count.textContent = `${group.keywords.length} keyword${group.keywords.length === 1 ? "" : "s"}`;
+		details.append(name, count);
+
+		const actions = document.createElement("div");
+		const exportButton = document.createElement("button");
+		exportButton.type = "button";
+		exportButton.className = "secondary";
+		exportButton.textContent = ".txt";
+		exportButton.title = "Export as text";
+		exportButton.addEventListener("click", () => exportKeywordGroupText(group));
+
+		const removeButton = document.createElement("button");
+		removeButton.type = "button";
+		removeButton.className = "secondary";
+		removeButton.textContent = "×";
+		removeButton.title = "Remove group";
+		removeButton.addEventListener("click", () => removeKeywordGroup(group.id));
+
+		actions.append(exportButton, removeButton);
+		groupElement.append(enabledInput, details, actions);
+		fragment.appendChild(groupElement);
+	}
+
+	groupsList.appendChild(fragment);
+}
+
 function collectSettings() {
 	return {
 		viewsFilterEnabled: getCheckboxValue("viewsFilterEnabled"),
 		durationFilterEnabled: getCheckboxValue("durationFilterEnabled"),
 		keywordFilterEnabled: getCheckboxValue("keywordFilterEnabled"),
 		ageFilterEnabled: getCheckboxValue("ageFilterEnabled"),
-		englishOnlyTitles: getCheckboxValue("englishOnlyTitles"),
+		languageFilterEnabled: getCheckboxValue("languageFilterEnabled"),
+		allowedLanguages: getAllowedLanguages(),
+		mixedLanguagePolicy: getElement("mixedLanguagePolicy").value,
+		unknownLanguagePolicy: getElement("unknownLanguagePolicy").value,
+		clickbaitFilterEnabled: getCheckboxValue("clickbaitFilterEnabled"),
+		clickbaitThreshold: getNumberValue("clickbaitThreshold", 50),
+		badgeFilterEnabled: getCheckboxValue("badgeFilterEnabled"),
+		hiddenBadges: getBadgeRules("hide"),
+		requiredBadges: getBadgeRules("require"),
+		previewMode: getCheckboxValue("previewMode"),
+		allowKeywordFilterEnabled: getCheckboxValue("allowKeywordFilterEnabled"),
 		preserveSubscribedChannels: getCheckboxValue("preserveSubscribedChannels"),
+		channelBlockFilterEnabled: getCheckboxValue("channelBlockFilterEnabled"),
+		watchedFilterEnabled: getCheckboxValue("watchedFilterEnabled"),
+		maxWatchedPercent: getNumberValue("maxWatchedPercent", 90),
+		partiallyWatchedMode: getElement("partiallyWatchedMode").value,
+		hideLiveNow: getCheckboxValue("hideLiveNow"),
+		hideUpcoming: getCheckboxValue("hideUpcoming"),
+		hidePastStreams: getCheckboxValue("hidePastStreams"),
+		hideNewsShelves: getCheckboxValue("hideNewsShelves"),
+		hidePostsShelves: getCheckboxValue("hidePostsShelves"),
+		hideMixShelves: getCheckboxValue("hideMixShelves"),
+		hideExploreTopicsShelves: getCheckboxValue("hideExploreTopicsShelves"),
+		hidePeopleAlsoWatchedShelves: getCheckboxValue(
+			"hidePeopleAlsoWatchedShelves",
+		),
+		hideAdSlots: getCheckboxValue("hideAdSlots"),
+		hideMovieShelves: getCheckboxValue("hideMovieShelves"),
+		shortsMode: getElement("shortsMode").value,
+		autoplayGuardMode: getElement("autoplayGuardMode").value,
 		minViews: getNumberValue("minViews", 0),
+		viewsPerDayFilterEnabled: getCheckboxValue("viewsPerDayFilterEnabled"),
+		minViewsPerDay: getNumberValue("minViewsPerDay", 0),
+		viewsPerDayMode: getElement("viewsPerDayMode").value,
 		minDuration: getNumberValue("minDuration", 0),
 		maxDuration: getNumberValue("maxDuration", 0),
-		maxAgeYears: getNumberValue("maxAgeYears", 5),
+		maxAgeAmount: getNumberValue("maxAgeAmount", 0),
+		maxAgeUnit: getElement("maxAgeUnit").value,
+		minAgeAmount: getNumberValue("minAgeAmount", 0),
+		minAgeUnit: getElement("minAgeUnit").value,
+		uploadDateFilterEnabled: getCheckboxValue("uploadDateFilterEnabled"),
+		uploadedAfter: getElement("uploadedAfter").value,
+		uploadedBefore: getElement("uploadedBefore").value,
 	};
 }
 
@@ -349,7 +1334,7 @@ function renderFilteredVideos(videos) {
 		videoElement.className = "filtered-video";
 		videoElement.innerHTML = `
 			<div>${video.title}</div>
-			<div class="reason">${video.reason}</div>
+			<div class="reason">${video.label ? `${video.label} · ` : ""}${video.reason}</div>
 		`;
 		filteredVideosList.appendChild(videoElement);
 	}
@@ -367,19 +1352,78 @@ function clearFilteredVideos() {
 	});
 }
 
-function updateStats() {
-	chrome.storage.local.get(["filterStats"], (result) => {
-		const stats = {
-			...FILTER_STAT_DEFAULTS,
-			...(result.filterStats || {}),
-		};
+/**
+ * Renders one stat tile per filter published by the content script registry.
+ * @param {Array<{id: string, label: string}>} filters
+ * @param {Object<string, number>} stats
+ * @param {string} [gridId="statsGrid"]
+ */
+function renderStats(filters, stats, gridId = "statsGrid") {
+	const statsGrid = getElement(gridId);
+	if (!statsGrid) {
+		return;
+	}
+
+	statsGrid.innerHTML = "";
+	const fragment = document.createDocumentFragment();
+
+	for (const filter of [...filters, TOTAL_STAT_TILE]) {
+		const statElement = document.createElement("div");
+		statElement.className = "stat";
+
+		const count = document.createElement("strong");
+		count.textContent = stats[filter.id] || 0;
+		const label = document.createElement("span");
+		label.textContent = filter.label;
 
-		getElement("views-count").textContent = stats.views;
-		getElement("keywords-count").textContent = stats.keywords;
-		getElement("duration-count").textContent = stats.duration;
-		getElement("age-count").textContent = stats.age;
-		getElement("language-count").textContent = stats.language;
-		getElement("total-count").textContent = stats.total;
+		statElement.append(count, label);
+		fragment.appendChild(statElement);
+	}
+
+	statsGrid.appendChild(fragment);
+}
+
+/**
+ * Asks the active tab how many cards preview mode labeled, per filter.
+ * @param {Array<{id: string, label: string}>} filters
+ */
+function updatePreviewStats(filters) {
+	const previewStats = getElement("previewStats");
+	if (!previewStats) {
+		return;
+	}
+
+	chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+		const activeTab = tabs[0];
+		if (!activeTab?.id) {
+			previewStats.hidden = true;
+			return;
+		}
+
+		chrome.tabs.sendMessage(
+			activeTab.id,
+			{ action: GET_PREVIEW_COUNTS_ACTION },
+			(response) => {
+				// No content script on this tab (not YouTube) or preview is off.
+				if (chrome.runtime.lastError || !response?.previewMode) {
+					previewStats.hidden = true;
+					return;
+				}
+
+				previewStats.hidden = false;
+				renderStats(filters, response.counts || {}, "previewStatsGrid");
+			},
+		);
+	});
+}
+
+function updateStats() {
+	chrome.storage.local.get(["filterStats", "filterRegistry"], (result) => {
+		renderStats(
+			[...(result.filterRegistry || []), SHELVES_STAT_TILE],
+			result.filterStats || {},
+		);
+		updatePreviewStats(result.filterRegistry || []);
 	});
 
 	displayFilteredVideos();
@@ -387,6 +1431,8 @@ function updateStats() {
 
 function initializePopup() {
 	loadSettings();
+	loadDisplayModes();
+	loadKeywordGroups();
 	updateStats();
 	displaySubscriptionsFromStorage();
 
@@ -401,7 +1447,22 @@ function initializePopup() {
 		"click",
 		clearFilteredVideos,
 	);
-	getElement("addKeywordButton").addEventListener("click", addKeyword);
+	bindKeywordEditor("keywords");
+	bindKeywordEditor("allowKeywords");
+	getElement("importKeywordGroupButton").addEventListener(
+		"click",
+		importKeywordGroups,
+	);
+	getElement("exportKeywordGroupsButton").addEventListener(
+		"click",
+		exportKeywordGroupsJson,
+	);
+	getElement("addRuleButton").addEventListener("click", addCustomRule);
+	getElement("newRuleExpression").addEventListener("input", validateRuleInput);
+	getElement("addBlockedChannelButton").addEventListener(
+		"click",
+		addBlockedChannel,
+	);
 	getElement("openSubscriptionsLink").addEventListener(
 		"click",
 		openSubscriptionsPageLink,